@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ReviewCard" ADD COLUMN     "difficulty" DOUBLE PRECISION,
+ADD COLUMN     "stability" DOUBLE PRECISION;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "ReviewLog" (
+    "id" TEXT NOT NULL,
+    "reviewCardId" TEXT NOT NULL,
+    "cardId" TEXT NOT NULL,
+    "grade" TEXT NOT NULL,
+    "answerMs" INTEGER NOT NULL,
+    "prevIntervalDays" INTEGER NOT NULL,
+    "intervalDays" INTEGER NOT NULL,
+    "prevEase" DOUBLE PRECISION NOT NULL,
+    "ease" DOUBLE PRECISION NOT NULL,
+    "prevDueAt" TIMESTAMP(3) NOT NULL,
+    "dueAt" TIMESTAMP(3) NOT NULL,
+    "reviewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReviewLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReviewLog_cardId_reviewedAt_idx" ON "ReviewLog"("cardId", "reviewedAt");
+
+-- CreateIndex
+CREATE INDEX "ReviewLog_reviewedAt_idx" ON "ReviewLog"("reviewedAt");
+
+-- AddForeignKey
+ALTER TABLE "ReviewLog" ADD CONSTRAINT "ReviewLog_reviewCardId_fkey" FOREIGN KEY ("reviewCardId") REFERENCES "ReviewCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
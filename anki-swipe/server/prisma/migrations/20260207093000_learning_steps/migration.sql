@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "ReviewCard" ADD COLUMN     "learningStep" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "state" TEXT NOT NULL DEFAULT 'new';
+
+-- Cards that have already been answered are treated as graduated
+UPDATE "ReviewCard" SET "state" = 'review' WHERE "seen" > 0;
+
+-- CreateTable
+CREATE TABLE "ReviewSettings" (
+    "id" TEXT NOT NULL,
+    "learningSteps" INTEGER[] DEFAULT ARRAY[1, 10]::INTEGER[],
+    "relearningSteps" INTEGER[] DEFAULT ARRAY[10]::INTEGER[],
+
+    CONSTRAINT "ReviewSettings_pkey" PRIMARY KEY ("id")
+);
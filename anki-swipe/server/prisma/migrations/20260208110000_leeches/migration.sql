@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "mnemonic" TEXT;
+
+-- AlterTable
+ALTER TABLE "ReviewCard" ADD COLUMN     "isLeech" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "suspended" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "ReviewSettings" ADD COLUMN     "leechAction" TEXT NOT NULL DEFAULT 'suspend',
+ADD COLUMN     "leechThreshold" INTEGER NOT NULL DEFAULT 8;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ReviewCard" ADD COLUMN     "buriedUntil" TIMESTAMP(3);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ReviewSettings" ADD COLUMN     "vacationStartedAt" TIMESTAMP(3);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ReviewSettings" ADD COLUMN     "dayStartHour" INTEGER NOT NULL DEFAULT 4,
+ADD COLUMN     "timeZone" TEXT NOT NULL DEFAULT 'UTC';
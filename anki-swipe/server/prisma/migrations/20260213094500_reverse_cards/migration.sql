@@ -0,0 +1,15 @@
+-- DropIndex
+DROP INDEX "ReviewCard_cardId_key";
+
+-- AlterTable
+ALTER TABLE "ReviewCard" ADD COLUMN     "template" TEXT NOT NULL DEFAULT 'forward';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewCard_cardId_template_key" ON "ReviewCard"("cardId", "template");
+
+-- Add a reverse (meaning -> kanji) card for every kanji already in review
+INSERT INTO "ReviewCard" ("id", "cardId", "template", "deck", "group", "dueAt", "intervalIndex", "seen", "correct", "wrong", "lastAnsweredAt", "lastReviewedAt", "lastAnswerMs", "avgAnswerMs")
+SELECT r."id" || '-reverse', r."cardId", 'reverse', r."deck", r."group", CURRENT_TIMESTAMP, 0, 0, 0, 0, to_timestamp(0), to_timestamp(0), 0, 0
+FROM "ReviewCard" r
+JOIN "Card" c ON c."id" = r."cardId"
+WHERE r."deck" = 'kanji' AND c."meaning" IS NOT NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ReviewLog" ADD COLUMN     "source" TEXT NOT NULL DEFAULT 'swipe';
+
+-- AlterTable
+ALTER TABLE "ReviewSettings" ADD COLUMN     "recognitionFactor" DOUBLE PRECISION NOT NULL DEFAULT 0.6;
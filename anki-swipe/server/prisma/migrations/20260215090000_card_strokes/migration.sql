@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN     "strokes" JSONB;
@@ -0,0 +1,21 @@
+-- Add a sentence cloze card for every kanji in review whose example breakdown
+-- has a token containing the kanji
+INSERT INTO "ReviewCard" ("id", "cardId", "template", "deck", "group", "dueAt", "intervalIndex", "seen", "correct", "wrong", "lastAnsweredAt", "lastReviewedAt", "lastAnswerMs", "avgAnswerMs")
+SELECT r."id" || '-cloze', r."cardId", 'cloze', r."deck", r."group", CURRENT_TIMESTAMP, 0, 0, 0, 0, to_timestamp(0), to_timestamp(0), 0, 0
+FROM "ReviewCard" r
+JOIN "Card" c ON c."id" = r."cardId"
+WHERE r."template" = 'forward'
+  AND r."deck" = 'kanji'
+  AND EXISTS (
+    SELECT 1
+    FROM (
+      SELECT "sentence", "breakdown" FROM "SentenceExample" WHERE "cardId" = c."id"
+      UNION ALL
+      SELECT "sentence", "breakdown" FROM "KanjiEnrichment" WHERE "cardId" = c."id"
+    ) e,
+    jsonb_array_elements(
+      CASE WHEN jsonb_typeof(e."breakdown") = 'array' THEN e."breakdown" ELSE '[]'::jsonb END
+    ) AS token
+    WHERE strpos(token->>'jp', c."script") > 0
+      AND strpos(e."sentence", token->>'jp') > 0
+  );
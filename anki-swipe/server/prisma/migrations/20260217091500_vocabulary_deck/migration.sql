@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Card" ADD COLUMN "reading" TEXT;
+
+-- CreateTable
+CREATE TABLE "_VocabularyKanji" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "_VocabularyKanji_AB_unique" ON "_VocabularyKanji"("A", "B");
+
+-- CreateIndex
+CREATE INDEX "_VocabularyKanji_B_index" ON "_VocabularyKanji"("B");
+
+-- AddForeignKey
+ALTER TABLE "_VocabularyKanji" ADD CONSTRAINT "_VocabularyKanji_A_fkey" FOREIGN KEY ("A") REFERENCES "Card"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_VocabularyKanji" ADD CONSTRAINT "_VocabularyKanji_B_fkey" FOREIGN KEY ("B") REFERENCES "Card"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "Component" (
+    "id" TEXT NOT NULL,
+    "meaning" TEXT,
+    "radical" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "Component_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CardComponent" (
+    "cardId" TEXT NOT NULL,
+    "componentId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "CardComponent_pkey" PRIMARY KEY ("cardId","componentId")
+);
+
+-- CreateIndex
+CREATE INDEX "CardComponent_componentId_idx" ON "CardComponent"("componentId");
+
+-- AddForeignKey
+ALTER TABLE "CardComponent" ADD CONSTRAINT "CardComponent_cardId_fkey" FOREIGN KEY ("cardId") REFERENCES "Card"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CardComponent" ADD CONSTRAINT "CardComponent_componentId_fkey" FOREIGN KEY ("componentId") REFERENCES "Component"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "ReviewLog" ADD COLUMN "confusedWithId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Confusable" (
+    "id" TEXT NOT NULL,
+    "cardId" TEXT NOT NULL,
+    "otherId" TEXT NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'bundled',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Confusable_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Confusable_cardId_otherId_key" ON "Confusable"("cardId", "otherId");
+
+-- CreateIndex
+CREATE INDEX "Confusable_otherId_idx" ON "Confusable"("otherId");
+
+-- AddForeignKey
+ALTER TABLE "Confusable" ADD CONSTRAINT "Confusable_cardId_fkey" FOREIGN KEY ("cardId") REFERENCES "Card"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Confusable" ADD CONSTRAINT "Confusable_otherId_fkey" FOREIGN KEY ("otherId") REFERENCES "Card"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- DropForeignKey
+ALTER TABLE "ReviewLog" DROP CONSTRAINT "ReviewLog_reviewCardId_fkey";
+
+-- AlterTable
+ALTER TABLE "ReviewLog" ALTER COLUMN "reviewCardId" DROP NOT NULL,
+ADD COLUMN "template" TEXT NOT NULL DEFAULT 'forward';
+
+-- Backfill the direction from the review card each log belongs to
+UPDATE "ReviewLog" AS log
+SET "template" = review."template"
+FROM "ReviewCard" AS review
+WHERE log."reviewCardId" = review."id";
+
+-- AddForeignKey
+ALTER TABLE "ReviewLog" ADD CONSTRAINT "ReviewLog_reviewCardId_fkey" FOREIGN KEY ("reviewCardId") REFERENCES "ReviewCard"("id") ON DELETE SET NULL ON UPDATE CASCADE;
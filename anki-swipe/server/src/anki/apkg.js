@@ -0,0 +1,157 @@
+import JSZip from "jszip";
+import initSqlJs from "sql.js";
+
+// Anki keeps note fields in one column, separated by the unit separator.
+export const FIELD_SEPARATOR = "\x1f";
+
+// Thrown for files that are not a readable Anki package, as opposed to
+// failures while saving what was read.
+export class ApkgFormatError extends Error {}
+
+let sqlPromise = null;
+const loadSql = () => {
+  if (!sqlPromise) sqlPromise = initSqlJs();
+  return sqlPromise;
+};
+
+const rows = (db, query) => {
+  const [result] = db.exec(query);
+  if (!result) return [];
+  return result.values.map((values) =>
+    Object.fromEntries(result.columns.map((column, index) => [column, values[index]]))
+  );
+};
+
+// Packages from Anki 2.1.50+ may only contain the zstd-compressed
+// collection.anki21b next to a stub collection.anki2; we can read the two
+// older SQLite layouts.
+const collectionFile = (zip) => {
+  if (zip.file("collection.anki21")) return zip.file("collection.anki21");
+  if (zip.file("collection.anki21b")) {
+    throw new ApkgFormatError(
+      'This package uses the newest Anki format. Export it again with "Support older Anki versions" ticked.'
+    );
+  }
+  if (zip.file("collection.anki2")) return zip.file("collection.anki2");
+  throw new ApkgFormatError("Not an Anki package: no collection found");
+};
+
+export const readApkg = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer).catch(() => {
+    throw new ApkgFormatError("Not an Anki package: the file is not a zip archive");
+  });
+  const SQL = await loadSql();
+  const db = new SQL.Database(await collectionFile(zip).async("uint8array"));
+
+  try {
+    const [col] = rows(db, "SELECT crt, models, decks FROM col");
+    if (!col) throw new ApkgFormatError("Anki collection has no col row");
+    return {
+      createdAt: col.crt,
+      models: JSON.parse(col.models),
+      decks: JSON.parse(col.decks),
+      notes: rows(db, "SELECT id, guid, mid, tags, flds FROM notes ORDER BY id"),
+      cards: rows(
+        db,
+        "SELECT id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY due, id"
+      ),
+      revlog: rows(
+        db,
+        "SELECT id, cid, ease, ivl, lastIvl, factor, time, type FROM revlog ORDER BY id"
+      ),
+    };
+  } catch (error) {
+    if (error instanceof ApkgFormatError) throw error;
+    throw new ApkgFormatError(`Could not read the Anki collection: ${error.message}`);
+  } finally {
+    db.close();
+  }
+};
+
+// Anki's schema 11, the layout every desktop version can import.
+const SCHEMA = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+  conf text not null, models text not null, decks text not null, dconf text not null,
+  tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null,
+  csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null,
+  due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const insertAll = (db, table, items) => {
+  if (!items.length) return;
+  const columns = Object.keys(items[0]);
+  const statement = db.prepare(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+  );
+  try {
+    for (const item of items) statement.run(columns.map((column) => item[column]));
+  } finally {
+    statement.free();
+  }
+};
+
+// Takes the same shape readApkg returns, with full rows for every table and
+// `conf`/`dconf` for the collection, and resolves to the package bytes.
+export const writeApkg = async ({ createdAt, conf, models, decks, dconf, notes, cards, revlog }) => {
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+  let collection;
+  try {
+    db.run(SCHEMA);
+    const modified = Date.now();
+    insertAll(db, "col", [
+      {
+        id: 1,
+        crt: createdAt,
+        mod: modified,
+        scm: modified,
+        ver: 11,
+        dty: 0,
+        usn: 0,
+        ls: 0,
+        conf: JSON.stringify(conf),
+        models: JSON.stringify(models),
+        decks: JSON.stringify(decks),
+        dconf: JSON.stringify(dconf),
+        tags: "{}",
+      },
+    ]);
+    insertAll(db, "notes", notes);
+    insertAll(db, "cards", cards);
+    insertAll(db, "revlog", revlog);
+    collection = db.export();
+  } finally {
+    db.close();
+  }
+
+  const zip = new JSZip();
+  zip.file("collection.anki2", collection);
+  zip.file("media", "{}");
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+};
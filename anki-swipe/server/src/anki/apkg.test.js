@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import JSZip from "jszip";
+import { ApkgFormatError, readApkg, writeApkg } from "./apkg.js";
+
+const zipOf = (files) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: "nodebuffer" });
+};
+
+test("readApkg rejects files that are not a readable Anki package", async () => {
+  const cases = [
+    ["plain text", Buffer.from("not a zip")],
+    ["a zip without a collection", await zipOf({ media: "{}" })],
+    ["only the newest format", await zipOf({ "collection.anki21b": "zstd" })],
+    ["a collection that is not SQLite", await zipOf({ "collection.anki2": "garbage" })],
+  ];
+  for (const [label, buffer] of cases) {
+    await assert.rejects(readApkg(buffer), ApkgFormatError, label);
+  }
+});
+
+test("readApkg reads back what writeApkg wrote", async () => {
+  const buffer = await writeApkg({
+    createdAt: 1_700_000_000,
+    conf: {},
+    models: { 1: { id: 1, name: "Basic", flds: [] } },
+    decks: { 1: { id: 1, name: "Default" } },
+    dconf: {},
+    notes: [
+      {
+        id: 10,
+        guid: "abc",
+        mid: 1,
+        mod: 0,
+        usn: -1,
+        tags: " N5 ",
+        flds: "日\x1fsun",
+        sfld: "日",
+        csum: 0,
+        flags: 0,
+        data: "",
+      },
+    ],
+    cards: [],
+    revlog: [],
+  });
+  const collection = await readApkg(buffer);
+  assert.equal(collection.createdAt, 1_700_000_000);
+  assert.equal(collection.models[1].name, "Basic");
+  assert.deepEqual(collection.notes, [
+    { id: 10, guid: "abc", mid: 1, tags: " N5 ", flds: "日\x1fsun" },
+  ]);
+  assert.deepEqual(collection.cards, []);
+});
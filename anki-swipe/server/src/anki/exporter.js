@@ -0,0 +1,350 @@
+import { createHash } from "node:crypto";
+import {
+  DEFAULT_DAY_OPTIONS,
+  reviewDaysBetween,
+  startOfReviewDay,
+} from "../../../src/lib/reviewDay.js";
+import { FIELD_SEPARATOR, writeApkg } from "./apkg.js";
+
+export class NoDecksError extends Error {}
+
+const ANKI_EASES = { again: 1, hard: 2, good: 3, easy: 4 };
+const CARD_TYPES = { new: 0, learning: 1, review: 2, relearning: 3 };
+const DEFAULT_DECK_ID = 1;
+// Fixed so a second export updates the note type already in Anki instead of
+// adding another copy.
+const MODEL_ID = 1_739_000_000_000;
+
+// Named so the importer maps them back to the same roles.
+const FIELDS = [
+  "Script",
+  "Meaning",
+  "Reading",
+  "Romaji",
+  "Onyomi",
+  "Kunyomi",
+  "Mnemonic",
+  "Sentence",
+  "Sentence Reading",
+  "Sentence Translation",
+];
+
+const QUESTION = '<div class="script">{{Script}}</div>';
+const ANSWER = `{{FrontSide}}
+<hr id=answer>
+{{#Meaning}}<div class="meaning">{{Meaning}}</div>{{/Meaning}}
+{{#Reading}}<div class="reading">{{Reading}}</div>{{/Reading}}
+{{#Romaji}}<div class="reading">{{Romaji}}</div>{{/Romaji}}
+{{#Onyomi}}<div>On: {{Onyomi}}</div>{{/Onyomi}}
+{{#Kunyomi}}<div>Kun: {{Kunyomi}}</div>{{/Kunyomi}}
+{{#Mnemonic}}<div class="mnemonic">{{Mnemonic}}</div>{{/Mnemonic}}
+{{#Sentence}}
+<div class="sentence">{{Sentence}}</div>
+<div class="reading">{{Sentence Reading}}</div>
+<div>{{Sentence Translation}}</div>
+{{/Sentence}}`;
+const CSS = `.card { font-family: sans-serif; font-size: 20px; text-align: center; }
+.script { font-size: 64px; }
+.reading, .mnemonic { color: #666; }
+.sentence { margin-top: 1em; font-size: 24px; }`;
+
+const LATEX_PRE =
+  "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n" +
+  "\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n";
+
+const modelFor = (modified) => ({
+  id: MODEL_ID,
+  name: "Anki Swipe",
+  type: 0,
+  mod: modified,
+  usn: -1,
+  sortf: 0,
+  did: DEFAULT_DECK_ID,
+  flds: FIELDS.map((name, ord) => ({
+    name,
+    ord,
+    sticky: false,
+    rtl: false,
+    font: "Arial",
+    size: 20,
+    media: [],
+  })),
+  tmpls: [
+    { name: "Recognition", ord: 0, qfmt: QUESTION, afmt: ANSWER, did: null, bqfmt: "", bafmt: "" },
+  ],
+  css: CSS,
+  latexPre: LATEX_PRE,
+  latexPost: "\\end{document}",
+  latexsvg: false,
+  req: [[0, "any", [0]]],
+  tags: [],
+  vers: [],
+});
+
+const deckFor = (id, name, modified) => ({
+  id,
+  name,
+  mod: modified,
+  usn: -1,
+  lrnToday: [0, 0],
+  revToday: [0, 0],
+  newToday: [0, 0],
+  timeToday: [0, 0],
+  collapsed: false,
+  browserCollapsed: false,
+  desc: "",
+  dyn: 0,
+  conf: 1,
+  extendNew: 0,
+  extendRev: 0,
+});
+
+// Learning steps and the leech threshold carry over; the rest are Anki's defaults.
+const deckConfigFor = (settings) => ({
+  id: 1,
+  name: "Default",
+  mod: 0,
+  usn: 0,
+  maxTaken: 60,
+  autoplay: true,
+  timer: 0,
+  replayq: true,
+  dyn: false,
+  new: {
+    bury: false,
+    delays: settings.learningSteps ?? [1, 10],
+    initialFactor: 2500,
+    ints: [1, 4, 0],
+    order: 1,
+    perDay: 20,
+  },
+  lapse: {
+    delays: settings.relearningSteps ?? [10],
+    leechAction: settings.leechAction === "tag" ? 1 : 0,
+    leechFails: settings.leechThreshold ?? 8,
+    minInt: 1,
+    mult: 0,
+  },
+  rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 },
+});
+
+const collectionConfig = (nextPos) => ({
+  activeDecks: [DEFAULT_DECK_ID],
+  curDeck: DEFAULT_DECK_ID,
+  newSpread: 0,
+  collapseTime: 1200,
+  timeLim: 0,
+  estTimes: true,
+  dueCounts: true,
+  curModel: MODEL_ID,
+  nextPos,
+  sortType: "noteFld",
+  sortBackwards: false,
+  addToCur: true,
+});
+
+const sha1 = (text) => createHash("sha1").update(text).digest();
+
+// Cards that came from Anki keep their note guid so they update in place;
+// the rest get a stable one derived from the card id.
+const guidFor = (cardId) =>
+  cardId.startsWith("anki-") ? cardId.slice(5) : sha1(cardId).toString("base64").slice(0, 10);
+
+// Anki's duplicate check: the first 8 hex digits of the sort field's SHA-1.
+const checksumFor = (text) => sha1(text).readUInt32BE(0);
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const fieldsFor = (card) => {
+  const example = card.examples[0] ?? card.enrichment;
+  return [
+    card.script,
+    card.meaning,
+    card.reading,
+    card.romaji,
+    card.onyomi,
+    card.kunyomi,
+    card.mnemonic,
+    example?.sentence,
+    example?.reading,
+    example?.translation,
+  ].map(escapeHtml);
+};
+
+const tagsFor = (card) => {
+  const tags = [...card.tags, ...(card.level ? [card.level] : [])].map((tag) =>
+    tag.replace(/\s+/g, "_")
+  );
+  return tags.length ? ` ${[...new Set(tags)].join(" ")} ` : "";
+};
+
+// Review cards count days from the collection's creation, learning cards keep
+// a timestamp in seconds and new cards their position in the queue.
+const scheduleFor = (review, position, createdAt, dayOptions, at) => {
+  if (!review || review.state === "new") {
+    const queue = review?.suspended ? -1 : 0;
+    return { type: 0, queue, due: position, ivl: 0, factor: 0, left: 0 };
+  }
+  const type = CARD_TYPES[review.state] ?? 2;
+  const dueAt = review.dueAt.getTime();
+  const learning = type === 1 || type === 3;
+  let queue = learning ? 1 : 2;
+  if (review.buriedUntil && review.buriedUntil.getTime() > at) queue = -3;
+  if (review.suspended) queue = -1;
+  return {
+    type,
+    queue,
+    due: learning
+      ? Math.floor(dueAt / 1000)
+      : reviewDaysBetween(createdAt * 1000, dueAt, dayOptions),
+    ivl: type === 1 ? 0 : Math.max(1, review.intervalDays),
+    factor: Math.round(review.ease * 1000),
+    left: learning ? 1001 : 0,
+  };
+};
+
+// Anki's log types: 0 for answers while learning, 1 for reviews.
+const revlogFor = (log, cid, id) => ({
+  id,
+  cid,
+  usn: -1,
+  ease: ANKI_EASES[log.grade],
+  ivl: log.intervalDays,
+  lastIvl: log.prevIntervalDays,
+  factor: Math.round(log.ease * 1000),
+  time: Math.min(log.answerMs, 60_000),
+  type: log.prevIntervalDays === 0 ? 0 : 1,
+});
+
+// Writes every card of the chosen decks (all decks when `deckIds` is empty) as
+// one note with a recognition card, grouped as "Deck::Group". With
+// `withScheduling`, the forward review card's interval, ease, due date and
+// lapses come along, together with its review log.
+export const exportApkg = async (
+  prisma,
+  { deckIds = [], withScheduling = false, settings = {} } = {}
+) => {
+  const at = Date.now();
+  const dayOptions = {
+    timeZone: settings.timeZone ?? DEFAULT_DAY_OPTIONS.timeZone,
+    dayStartHour: settings.dayStartHour ?? DEFAULT_DAY_OPTIONS.dayStartHour,
+  };
+  const decks = await prisma.deck.findMany({
+    where: deckIds.length ? { id: { in: deckIds } } : {},
+    include: { groups: true },
+    orderBy: { id: "asc" },
+  });
+  if (!decks.length) throw new NoDecksError("No decks to export");
+
+  const cards = await prisma.card.findMany({
+    where: { deckId: { in: decks.map((deck) => deck.id) } },
+    include: {
+      examples: { orderBy: { id: "asc" }, take: 1 },
+      enrichment: true,
+      ...(withScheduling
+        ? {
+            reviews: {
+              where: { template: "forward" },
+              include: { logs: { orderBy: { reviewedAt: "asc" } } },
+            },
+          }
+        : {}),
+    },
+    orderBy: [{ deckId: "asc" }, { order: "asc" }, { id: "asc" }],
+  });
+
+  const reviews = cards.map((card) => card.reviews?.[0]);
+  const earliest = reviews.reduce(
+    (min, review) =>
+      review
+        ? Math.min(min, review.dueAt.getTime(), review.logs[0]?.reviewedAt.getTime() ?? min)
+        : min,
+    at
+  );
+  const createdAt = Math.floor(startOfReviewDay(earliest, dayOptions) / 1000);
+  const modified = Math.floor(at / 1000);
+
+  // Anki ids are millisecond timestamps; counting up to now keeps them unique.
+  const groupCount = decks.reduce((sum, deck) => sum + deck.groups.length, 0);
+  let nextId = at - (decks.length + groupCount + cards.length * 2);
+  const ankiDecks = { [DEFAULT_DECK_ID]: deckFor(DEFAULT_DECK_ID, "Default", modified) };
+  const groupDeckIds = {};
+  for (const deck of decks) {
+    const rootId = nextId++;
+    ankiDecks[rootId] = deckFor(rootId, deck.label, modified);
+    for (const group of deck.groups) {
+      if (group.label === deck.label) {
+        groupDeckIds[group.id] = rootId;
+        continue;
+      }
+      const id = nextId++;
+      ankiDecks[id] = deckFor(id, `${deck.label}::${group.label.replace(/::/g, ":")}`, modified);
+      groupDeckIds[group.id] = id;
+    }
+  }
+
+  const notes = [];
+  const ankiCards = [];
+  const revlog = [];
+  const logIds = new Set();
+  for (const [position, card] of cards.entries()) {
+    const noteId = nextId++;
+    const cardId = nextId++;
+    const fields = fieldsFor(card);
+    notes.push({
+      id: noteId,
+      guid: guidFor(card.id),
+      mid: MODEL_ID,
+      mod: modified,
+      usn: -1,
+      tags: tagsFor(card),
+      flds: fields.join(FIELD_SEPARATOR),
+      sfld: card.script,
+      csum: checksumFor(card.script),
+      flags: 0,
+      data: "",
+    });
+
+    const review = reviews[position];
+    ankiCards.push({
+      id: cardId,
+      nid: noteId,
+      did: groupDeckIds[card.groupId] ?? DEFAULT_DECK_ID,
+      ord: 0,
+      mod: modified,
+      usn: -1,
+      ...scheduleFor(review, position, createdAt, dayOptions, at),
+      reps: review?.reps ?? 0,
+      lapses: review?.lapses ?? 0,
+      odue: 0,
+      odid: 0,
+      flags: 0,
+      data: "",
+    });
+
+    for (const log of review?.logs ?? []) {
+      if (!ANKI_EASES[log.grade]) continue;
+      // Revlog ids are the review time in milliseconds and must be unique.
+      let id = log.reviewedAt.getTime();
+      while (logIds.has(id)) id += 1;
+      logIds.add(id);
+      revlog.push(revlogFor(log, cardId, id));
+    }
+  }
+
+  const buffer = await writeApkg({
+    createdAt,
+    conf: collectionConfig(cards.length),
+    models: { [MODEL_ID]: modelFor(modified) },
+    decks: ankiDecks,
+    dconf: { 1: deckConfigFor(settings) },
+    notes,
+    cards: ankiCards,
+    revlog,
+  });
+  return { buffer, decks: decks.length, cards: cards.length, logs: revlog.length };
+};
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { exportApkg, NoDecksError } from "./exporter.js";
+import { importApkg } from "./importer.js";
+import { readApkg } from "./apkg.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const reviewedAt = new Date(Date.now() - 3 * DAY_MS);
+
+const DECKS = [{ id: "kanji", label: "Kanji", groups: [{ id: "kanji-N5", label: "N5" }] }];
+const CARDS = [
+  {
+    id: "n5-日",
+    deckId: "kanji",
+    groupId: "kanji-N5",
+    script: "日",
+    meaning: "sun, day",
+    reading: "にち",
+    romaji: "nichi",
+    onyomi: "ニチ",
+    kunyomi: "ひ",
+    mnemonic: null,
+    level: "N5",
+    tags: ["nature"],
+    examples: [{ sentence: "日曜日です。", reading: "にちようびです。", translation: "It is Sunday." }],
+    enrichment: null,
+    reviews: [
+      {
+        state: "review",
+        dueAt: new Date(reviewedAt.getTime() + 10 * DAY_MS),
+        buriedUntil: null,
+        suspended: false,
+        intervalDays: 10,
+        ease: 2.5,
+        reps: 2,
+        lapses: 0,
+        logs: [
+          {
+            grade: "good",
+            intervalDays: 10,
+            prevIntervalDays: 3,
+            ease: 2.5,
+            answerMs: 4000,
+            reviewedAt,
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: "anki-kana1234",
+    deckId: "kanji",
+    groupId: "kanji-N5",
+    script: "あ",
+    meaning: null,
+    reading: null,
+    romaji: "a",
+    onyomi: null,
+    kunyomi: null,
+    mnemonic: null,
+    level: null,
+    tags: [],
+    examples: [],
+    enrichment: null,
+    reviews: [],
+  },
+];
+
+const exportPrisma = {
+  deck: { findMany: async () => DECKS },
+  card: { findMany: async () => CARDS },
+};
+
+// Keeps the last write per table and id, the way the upserts would.
+const importPrisma = () => {
+  const tables = {};
+  const save = (table, id, row) => {
+    tables[table] ??= new Map();
+    tables[table].set(id, { ...tables[table].get(id), ...row });
+    return tables[table].get(id);
+  };
+  const upsertInto = (table) => async ({ where, create, update }) => {
+    const id = where.id ?? create.id;
+    return save(table, id, tables[table]?.has(id) ? update : create);
+  };
+  return {
+    tables,
+    deck: { upsert: upsertInto("deck") },
+    group: { upsert: upsertInto("group") },
+    card: {
+      findUnique: async ({ where }) => tables.card?.get(where.id) ?? null,
+      upsert: upsertInto("card"),
+    },
+    sentenceExample: { upsert: upsertInto("sentenceExample") },
+    reviewCard: { upsert: upsertInto("reviewCard") },
+    reviewLog: {
+      createMany: async ({ data }) => {
+        for (const row of data) save("reviewLog", row.id, row);
+        return { count: data.length };
+      },
+    },
+  };
+};
+
+test("an exported package imports back with the same fields, decks and history", async () => {
+  const { buffer, cards, logs } = await exportApkg(exportPrisma, { withScheduling: true });
+  assert.equal(cards, 2);
+  assert.equal(logs, 1);
+
+  const prisma = importPrisma();
+  const summary = await importApkg(prisma, buffer, { withHistory: true });
+  assert.deepEqual(summary, { notes: 2, created: 2, updated: 0, skipped: 0, reviews: 1, logs: 1 });
+
+  const [deck] = prisma.tables.deck.values();
+  const [group] = prisma.tables.group.values();
+  assert.equal(deck.label, "Kanji");
+  assert.equal(group.label, "N5");
+
+  const [sun, kana] = prisma.tables.card.values();
+  assert.deepEqual(
+    [sun.script, sun.meaning, sun.reading, sun.romaji, sun.onyomi, sun.kunyomi, sun.level],
+    ["日", "sun, day", "にち", "nichi", "ニチ", "ひ", "N5"]
+  );
+  assert.deepEqual(sun.tags, ["nature", "N5"]);
+  assert.deepEqual([...prisma.tables.sentenceExample.values()].map((row) => row.translation), [
+    "It is Sunday.",
+  ]);
+
+  // Cards that came from Anki keep their note guid and so their id.
+  assert.equal(kana.id, "anki-kana1234");
+  assert.equal(kana.romaji, "a");
+  assert.equal(kana.meaning, null);
+
+  const [review] = prisma.tables.reviewCard.values();
+  assert.equal(review.cardId, sun.id);
+  assert.deepEqual(
+    [review.state, review.intervalDays, review.ease, review.reps, review.lapses],
+    ["review", 10, 2.5, 2, 0]
+  );
+  assert.ok(Math.abs(review.dueAt - CARDS[0].reviews[0].dueAt) < DAY_MS);
+
+  const [log] = prisma.tables.reviewLog.values();
+  assert.deepEqual(
+    [log.grade, log.intervalDays, log.prevIntervalDays, log.reviewedAt.getTime()],
+    ["good", 10, 3, reviewedAt.getTime()]
+  );
+});
+
+test("the exported note type shows the romaji of kana cards on the answer", async () => {
+  const { buffer } = await exportApkg(exportPrisma);
+  const { models } = await readApkg(buffer);
+  const [model] = Object.values(models);
+  assert.match(model.tmpls[0].afmt, /\{\{#Romaji\}\}.*\{\{Romaji\}\}.*\{\{\/Romaji\}\}/);
+});
+
+test("exporting no decks rejects with NoDecksError", async () => {
+  const prisma = { deck: { findMany: async () => [] } };
+  await assert.rejects(exportApkg(prisma, { deckIds: ["missing"] }), NoDecksError);
+});
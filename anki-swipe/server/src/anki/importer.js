@@ -0,0 +1,284 @@
+import { deriveMemoryState } from "../scheduler/fsrs.js";
+import { FIELD_SEPARATOR, readApkg } from "./apkg.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANKI_GRADES = { 1: "again", 2: "hard", 3: "good", 4: "easy" };
+const CARD_STATES = { 0: "new", 1: "learning", 2: "review", 3: "relearning" };
+const JLPT_TAG = /(?:^|[_:-])(N[1-5])$/i;
+
+export const FIELD_ROLES = [
+  "script",
+  "meaning",
+  "reading",
+  "romaji",
+  "onyomi",
+  "kunyomi",
+  "sentence",
+  "sentenceReading",
+  "translation",
+];
+
+// Guesses from the field name, most specific first. Anything still missing
+// falls back to the first field for the script and the second for the meaning.
+const FIELD_PATTERNS = [
+  ["sentenceReading", /sentence.*(reading|kana|furigana)/i],
+  ["translation", /translation|sentence.*(meaning|english)/i],
+  ["sentence", /sentence|example/i],
+  ["onyomi", /on.?yomi|^on$/i],
+  ["kunyomi", /kun.?yomi|^kun$/i],
+  ["romaji", /romaji/i],
+  ["script", /^(kanji|expression|word|vocab|vocabulary|japanese|character|front|kana)$/i],
+  ["reading", /reading|furigana|kana|hiragana/i],
+  ["meaning", /meaning|english|definition|gloss|back/i],
+];
+
+const fieldRoles = (model, overrides) => {
+  const names = [...model.flds].sort((a, b) => a.ord - b.ord).map((field) => field.name);
+  const roles = {};
+  for (const [role, name] of Object.entries(overrides)) {
+    if (names.includes(name)) roles[role] = names.indexOf(name);
+  }
+  const taken = new Set(Object.values(roles));
+  for (const [role, pattern] of FIELD_PATTERNS) {
+    if (role in roles) continue;
+    const index = names.findIndex((name, i) => !taken.has(i) && pattern.test(name.trim()));
+    if (index === -1) continue;
+    roles[role] = index;
+    taken.add(index);
+  }
+  for (const [role, index] of [
+    ["script", 0],
+    ["meaning", 1],
+  ]) {
+    if (!(role in roles) && index < names.length && !taken.has(index)) {
+      roles[role] = index;
+      taken.add(index);
+    }
+  }
+  return roles;
+};
+
+const ENTITIES = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" };
+
+// Fields are HTML; cloze markers keep their answer and sound tags are dropped.
+const cleanField = (value) =>
+  String(value ?? "")
+    .replace(/\{\{c\d+::(.*?)(?:::.*?)?\}\}/g, "$1")
+    .replace(/\[sound:[^\]]*\]/g, "")
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (_, name) => ENTITIES[name])
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Anki furigana syntax: 漢字[かんじ].
+const stripFurigana = (text) => text.replace(/\[[^\]]*\]/g, "").replace(/\s+/g, "");
+
+const noteFields = (note, roles) => {
+  const values = note.flds.split(FIELD_SEPARATOR);
+  const field = (role) => (role in roles ? cleanField(values[roles[role]]) || null : null);
+  return {
+    script: field("script") && stripFurigana(field("script")),
+    meaning: field("meaning"),
+    reading: field("reading"),
+    romaji: field("romaji"),
+    onyomi: field("onyomi"),
+    kunyomi: field("kunyomi"),
+    sentence: field("sentence") && stripFurigana(field("sentence")),
+    sentenceReading: field("sentenceReading"),
+    translation: field("translation"),
+  };
+};
+
+// Each top-level Anki deck becomes a deck here and each of its decks
+// (including itself) a group, so the ids stay stable across imports.
+const deckRowsFor = (decks, did) => {
+  const deck = decks[did] ?? { id: did, name: "Default" };
+  const [rootName, ...rest] = deck.name.split("::");
+  const root = Object.values(decks).find((item) => item.name === rootName) ?? deck;
+  const deckId = `anki-${root.id}`;
+  return {
+    deck: { id: deckId, label: rootName },
+    group: {
+      id: `${deckId}-${deck.id}`,
+      key: String(deck.id),
+      label: rest.join(" › ") || rootName,
+      deckId,
+    },
+  };
+};
+
+// Review cards keep day numbers from the collection's creation; learning
+// cards keep a timestamp in seconds.
+const dueDateFor = (ankiCard, createdAt) => {
+  if (ankiCard.type === 0) return new Date();
+  if (ankiCard.due > 1_000_000_000) return new Date(ankiCard.due * 1000);
+  return new Date(createdAt * 1000 + ankiCard.due * DAY_MS);
+};
+
+const reviewStateFor = (ankiCard, logs, createdAt) => {
+  const last = logs[logs.length - 1];
+  const wrong = logs.filter((log) => log.ease === 1).length;
+  const state = {
+    intervalIndex: 0,
+    intervalDays: Math.max(0, ankiCard.ivl),
+    ease: ankiCard.factor ? ankiCard.factor / 1000 : 2.5,
+    reps: ankiCard.reps,
+    lapses: ankiCard.lapses,
+    state: CARD_STATES[ankiCard.type] ?? "new",
+    learningStep: 0,
+    suspended: ankiCard.queue === -1,
+    dueAt: dueDateFor(ankiCard, createdAt),
+    seen: logs.length,
+    correct: logs.length - wrong,
+    wrong,
+    lastCorrect: last ? last.ease > 1 : true,
+    lastAnsweredAt: last ? new Date(last.id) : new Date(0),
+    lastReviewedAt: last ? new Date(last.id) : new Date(0),
+    lastAnswerMs: last?.time ?? 0,
+    avgAnswerMs: logs.length
+      ? Math.round(logs.reduce((sum, log) => sum + log.time, 0) / logs.length)
+      : 0,
+  };
+  return {
+    ...state,
+    ...(deriveMemoryState({ ...state, stability: null, difficulty: null }) ?? {
+      stability: null,
+      difficulty: null,
+    }),
+  };
+};
+
+const reviewLogFor = (log, reviewCardId, cardId) => {
+  const reviewedAt = new Date(log.id);
+  const ease = log.factor ? log.factor / 1000 : 2.5;
+  return {
+    id: `anki-${log.cid}-${log.id}`,
+    reviewCardId,
+    cardId,
+    template: "forward",
+    grade: ANKI_GRADES[log.ease],
+    source: "anki",
+    answerMs: log.time,
+    prevIntervalDays: Math.max(0, log.lastIvl),
+    intervalDays: Math.max(0, log.ivl),
+    prevEase: ease,
+    ease,
+    prevDueAt: reviewedAt,
+    dueAt: new Date(reviewedAt.getTime() + Math.max(0, log.ivl) * DAY_MS),
+    reviewedAt,
+  };
+};
+
+// Imports every note of a package as one card, keyed by the note's guid so a
+// second import of the same package updates rather than duplicates. With
+// `withHistory`, scheduling and the review log of each note's first card come
+// along too.
+export const importApkg = async (prisma, buffer, { withHistory = false, fields = {} } = {}) => {
+  const { createdAt, models, decks, notes, cards, revlog } = await readApkg(buffer);
+  const cardsByNote = cards.reduce((acc, card) => {
+    acc[card.nid] = [...(acc[card.nid] ?? []), card].sort((a, b) => a.ord - b.ord);
+    return acc;
+  }, {});
+  const logsByCard = revlog
+    .filter((log) => ANKI_GRADES[log.ease] && log.type <= 3)
+    .reduce((acc, log) => {
+      acc[log.cid] = [...(acc[log.cid] ?? []), log];
+      return acc;
+    }, {});
+
+  const summary = { notes: notes.length, created: 0, updated: 0, skipped: 0, reviews: 0, logs: 0 };
+  const savedDecks = new Set();
+  const savedGroups = new Set();
+
+  for (const [order, note] of notes.entries()) {
+    const model = models[note.mid];
+    const [ankiCard] = cardsByNote[note.id] ?? [];
+    const values = model ? noteFields(note, fieldRoles(model, fields)) : null;
+    if (!values?.script || !ankiCard) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    const { deck, group } = deckRowsFor(decks, ankiCard.did);
+    if (!savedDecks.has(deck.id)) {
+      await prisma.deck.upsert({
+        where: { id: deck.id },
+        update: { label: deck.label },
+        create: deck,
+      });
+      savedDecks.add(deck.id);
+    }
+    if (!savedGroups.has(group.id)) {
+      await prisma.group.upsert({
+        where: { id: group.id },
+        update: { label: group.label },
+        create: group,
+      });
+      savedGroups.add(group.id);
+    }
+
+    const tags = note.tags.trim().split(/\s+/).filter(Boolean);
+    const level = tags.map((tag) => tag.match(JLPT_TAG)?.[1]?.toUpperCase()).find(Boolean);
+    const id = `anki-${note.guid}`;
+    const data = {
+      deckId: deck.id,
+      groupId: group.id,
+      groupKey: group.key,
+      script: values.script,
+      romaji: values.romaji,
+      reading: values.reading,
+      meaning: values.meaning,
+      onyomi: values.onyomi,
+      kunyomi: values.kunyomi,
+      level: level ?? null,
+      order,
+      tags,
+    };
+    const existing = await prisma.card.findUnique({ where: { id }, select: { id: true } });
+    await prisma.card.upsert({ where: { id }, update: data, create: { id, ...data } });
+    summary[existing ? "updated" : "created"] += 1;
+
+    if (values.sentence) {
+      const example = {
+        sentence: values.sentence,
+        reading: values.sentenceReading ?? "",
+        romaji: "",
+        translation: values.translation ?? "",
+      };
+      await prisma.sentenceExample.upsert({
+        where: { id: `${id}-ex-1` },
+        update: example,
+        create: { id: `${id}-ex-1`, cardId: id, ...example },
+      });
+    }
+
+    const logs = logsByCard[ankiCard.id] ?? [];
+    if (!withHistory || (ankiCard.type === 0 && !logs.length)) continue;
+
+    const state = reviewStateFor(ankiCard, logs, createdAt);
+    const review = await prisma.reviewCard.upsert({
+      where: { cardId_template: { cardId: id, template: "forward" } },
+      update: { deck: deck.id, group: group.key, ...state },
+      create: {
+        id: `review-${id}`,
+        cardId: id,
+        template: "forward",
+        deck: deck.id,
+        group: group.key,
+        ...state,
+      },
+    });
+    summary.reviews += 1;
+
+    if (logs.length) {
+      const result = await prisma.reviewLog.createMany({
+        data: logs.map((log) => reviewLogFor(log, review.id, id)),
+        skipDuplicates: true,
+      });
+      summary.logs += result.count;
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,16 @@
+import { PrismaClient } from "@prisma/client";
+import { buildVocabularyDeck } from "./vocabulary.js";
+
+const prisma = new PrismaClient();
+
+buildVocabularyDeck(prisma)
+  .then(({ words, created, updated }) => {
+    console.log(`Vocabulary deck has ${words} words (${created} new, ${updated} updated)`);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
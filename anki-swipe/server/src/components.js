@@ -0,0 +1,38 @@
+import { COMPONENTS } from "../../src/data/components.js";
+
+// Replaces the component list of every kanji card found in `decompositions`
+// (script → component glyphs). Components missing from `meanings` are stored
+// without a meaning and are not treated as radicals.
+export const saveComponents = async (prisma, decompositions, meanings = COMPONENTS) => {
+  const cards = await prisma.card.findMany({
+    where: { deckId: "kanji" },
+    select: { id: true, script: true },
+  });
+  const matched = cards.filter((card) => decompositions[card.script]?.length);
+  const glyphs = new Set(matched.flatMap((card) => decompositions[card.script]));
+
+  for (const glyph of glyphs) {
+    const known = meanings[glyph];
+    await prisma.component.upsert({
+      where: { id: glyph },
+      update: known ? { meaning: known.meaning, radical: Boolean(known.radical) } : {},
+      create: { id: glyph, meaning: known?.meaning ?? null, radical: Boolean(known?.radical) },
+    });
+  }
+
+  for (const card of matched) {
+    const componentIds = [...new Set(decompositions[card.script])];
+    await prisma.$transaction([
+      prisma.cardComponent.deleteMany({ where: { cardId: card.id } }),
+      prisma.cardComponent.createMany({
+        data: componentIds.map((componentId, position) => ({
+          cardId: card.id,
+          componentId,
+          position,
+        })),
+      }),
+    ]);
+  }
+
+  return { cards: cards.length, updated: matched.length, components: glyphs.size };
+};
@@ -0,0 +1,51 @@
+// How many times one card must be answered with another before the two are
+// drilled as a pair.
+export const CONFUSION_THRESHOLD = 3;
+
+// Pairs are stored once, with the smaller card id first.
+const pairWhere = (a, b) => {
+  const [cardId, otherId] = [a, b].sort();
+  return { cardId_otherId: { cardId, otherId } };
+};
+
+const addPair = (prisma, a, b, source) =>
+  prisma.confusable.upsert({
+    where: pairWhere(a, b),
+    update: {},
+    create: { ...pairWhere(a, b).cardId_otherId, source },
+  });
+
+// Links bundled look-alike pairs (by script) to the cards that exist.
+export const saveConfusablePairs = async (prisma, pairs) => {
+  const scripts = [...new Set(pairs.flat())];
+  const cards = await prisma.card.findMany({
+    where: { script: { in: scripts }, deckId: { in: ["hiragana", "katakana", "kanji"] } },
+    select: { id: true, script: true },
+  });
+  const idsByScript = new Map(cards.map((card) => [card.script, card.id]));
+
+  let saved = 0;
+  for (const [a, b] of pairs) {
+    if (!idsByScript.has(a) || !idsByScript.has(b)) continue;
+    await addPair(prisma, idsByScript.get(a), idsByScript.get(b), "bundled");
+    saved += 1;
+  }
+  return { pairs: pairs.length, saved };
+};
+
+// Called after a wrong answer that picked `otherId` instead of `cardId`; pairs
+// the two once it has happened often enough.
+export const recordConfusion = async (prisma, cardId, otherId) => {
+  if (cardId === otherId) return;
+  const existing = await prisma.confusable.findUnique({ where: pairWhere(cardId, otherId) });
+  if (existing) return;
+
+  const count = await prisma.reviewLog.count({
+    where: { cardId, confusedWithId: otherId },
+  });
+  if (count < CONFUSION_THRESHOLD) return;
+  const other = await prisma.card.findUnique({ where: { id: otherId }, select: { id: true } });
+  if (!other) return;
+
+  await addPair(prisma, cardId, otherId, "auto");
+};
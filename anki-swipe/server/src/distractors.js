@@ -0,0 +1,50 @@
+const meaningWords = (text) =>
+  new Set(
+    String(text ?? "")
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter((word) => word.length > 2)
+  );
+
+const overlap = (a, b) => [...a].filter((item) => b.has(item)).length;
+
+// Look-alikes come first: a stored confusable pair (bundled or learned from
+// wrong answers) outranks anything else, then each shared component (日 in
+// 明 and 暗). Shared meaning words only break ties between semantic neighbours.
+export const similarity = (card, other, confusableIds = new Set()) =>
+  (confusableIds.has(other.id) ? 10 : 0) +
+  3 * overlap(new Set(card.componentIds ?? []), new Set(other.componentIds ?? [])) +
+  overlap(meaningWords(card.meaning), meaningWords(other.meaning));
+
+// Picks wrong answers for a quiz prompt from the card's own group and its
+// look-alikes, falling back to the whole deck when that is too small. A little noise keeps
+// the same distractors from showing up every time.
+export const pickDistractors = (
+  card,
+  candidates,
+  { count = 3, random = Math.random, confusableIds = new Set() } = {}
+) => {
+  const usable = candidates.filter(
+    (other) =>
+      other.id !== card.id && other.script !== card.script && other.meaning !== card.meaning
+  );
+  const sameGroup = usable.filter(
+    (other) => other.groupKey === card.groupKey || confusableIds.has(other.id)
+  );
+  const pool = sameGroup.length >= count ? sameGroup : usable;
+
+  return pool
+    .map((other) => ({ other, score: similarity(card, other, confusableIds) + random() }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map(({ other }) => ({
+      id: other.id,
+      script: other.script,
+      romaji: other.romaji,
+      reading: other.reading,
+      meaning: other.meaning,
+      onyomi: other.onyomi,
+      kunyomi: other.kunyomi,
+      example: other.example?.translation ? { translation: other.example.translation } : null,
+    }));
+};
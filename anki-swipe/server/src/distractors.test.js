@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { pickDistractors, similarity } from "./distractors.js";
+
+const kanji = (id, meaning, componentIds = [], extra = {}) => ({
+  id,
+  script: id,
+  meaning,
+  groupKey: "N5",
+  componentIds,
+  ...extra,
+});
+
+const 晴 = kanji("晴", "clear up", ["日", "青"], { onyomi: "セイ" });
+const CANDIDATES = [
+  kanji("清", "pure", ["氵", "青"], { onyomi: "セイ" }),
+  kanji("暗", "dark", ["日", "音"]),
+  kanji("睛", "pupil of the eye", ["目", "青"]),
+  kanji("生", "life", ["生"], { onyomi: "セイ" }),
+  kanji("明", "bright", ["日", "月"]),
+  kanji("川", "river", ["川"]),
+];
+
+const scripts = (distractors) => distractors.map((other) => other.script);
+const noNoise = () => 0;
+
+test("similarity ranks a confusable pair above shared components, and those above none", () => {
+  const [清, 暗, 睛, 生] = CANDIDATES;
+  const confusable = new Set(["睛"]);
+  assert.ok(similarity(晴, 睛, confusable) > similarity(晴, 暗, confusable));
+  assert.ok(similarity(晴, 暗) > similarity(晴, 生));
+  // Sharing only an on'yomi says nothing about how a kanji looks.
+  assert.equal(similarity(晴, 生), 0);
+  assert.equal(similarity(晴, 清), similarity(晴, 暗));
+});
+
+test("pickDistractors prefers confusables, then kanji sharing the most components", () => {
+  const 晴 = kanji("晴", "clear up", ["日", "⺝", "青"]);
+  const candidates = [
+    kanji("生", "life", ["生"]),
+    kanji("清", "pure", ["氵", "青"]),
+    kanji("川", "river", ["川"]),
+    kanji("暗", "dark", ["日", "音"]),
+    kanji("朝", "morning", ["日", "⺝", "十"]),
+  ];
+  const picked = pickDistractors(晴, candidates, {
+    count: 3,
+    random: noNoise,
+    confusableIds: new Set(["川"]),
+  });
+  assert.deepEqual(scripts(picked).slice(0, 2), ["川", "朝"]);
+  assert.ok(["清", "暗"].includes(picked[2].script));
+});
+
+test("pickDistractors reaches outside the group for a confusable partner", () => {
+  const candidates = [
+    ...CANDIDATES,
+    kanji("晶", "sparkle", ["日"], { groupKey: "N1" }),
+  ];
+  const picked = pickDistractors(晴, candidates, {
+    count: 3,
+    random: noNoise,
+    confusableIds: new Set(["晶"]),
+  });
+  assert.equal(picked[0].script, "晶");
+  assert.ok(picked.every((other) => other.script !== "生" && other.script !== "川"));
+});
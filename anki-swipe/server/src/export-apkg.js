@@ -0,0 +1,44 @@
+import { writeFile } from "node:fs/promises";
+import { PrismaClient } from "@prisma/client";
+import { exportApkg } from "./anki/exporter.js";
+
+const prisma = new PrismaClient();
+
+// npm run export:apkg -- out.apkg [--decks=kanji,hiragana] [--with-scheduling]
+const parseArgs = (args) => {
+  const options = { file: null, deckIds: [], withScheduling: false };
+  for (const arg of args) {
+    const decks = arg.match(/^--decks=(.+)$/);
+    if (arg === "--with-scheduling") options.withScheduling = true;
+    else if (decks) options.deckIds = decks[1].split(",").filter(Boolean);
+    else if (!arg.startsWith("--")) options.file = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+};
+
+const run = async () => {
+  const { file, ...options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    throw new Error(
+      "Usage: npm run export:apkg -- <file.apkg> [--decks=id,id] [--with-scheduling]"
+    );
+  }
+  const settings = await prisma.reviewSettings.findUnique({ where: { id: "default" } });
+  const { buffer, ...summary } = await exportApkg(prisma, { ...options, settings: settings ?? {} });
+  await writeFile(file, buffer);
+  return { file, ...summary };
+};
+
+run()
+  .then(({ file, decks, cards, logs }) => {
+    console.log(`Wrote ${cards} cards from ${decks} decks to ${file}`);
+    if (logs) console.log(`Included ${logs} review logs`);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,113 @@
+import {
+  nextDayBoundary,
+  reviewDayKey,
+  reviewDaysBetween,
+  startOfReviewDay,
+} from "../../src/lib/reviewDay.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SIMULATED_REVIEWS = 50;
+
+// Follows one card forward, assuming every review is answered "good", and
+// calls onDue with the day index of each review inside the horizon.
+const simulateCard = (scheduler, record, firstDueAt, { now, horizon, dayOptions, onDue }) => {
+  let state = record;
+  let dueAt = Math.max(firstDueAt, now);
+  for (let step = 0; step < MAX_SIMULATED_REVIEWS; step += 1) {
+    const dayIndex = reviewDaysBetween(now, dueAt, dayOptions);
+    if (dayIndex >= horizon) return;
+    onDue(dayIndex);
+    const next = scheduler.schedule(state, "good", { now: dueAt });
+    state = { ...state, ...next, state: "review", lastReviewedAt: new Date(dueAt) };
+    dueAt = startOfReviewDay(dueAt, dayOptions, Math.max(1, next.intervalDays));
+  }
+};
+
+// Counts the reviews due on each of the next `days` days, for one deck or for
+// every deck when `deckId` is unset. Suspended cards are left out.
+export const buildForecast = (
+  scheduler,
+  reviewCards,
+  { now = Date.now(), days = 30, newPerDay = 0, newAvailable = 0, deckId, dayOptions } = {}
+) => {
+  const todayStart = startOfReviewDay(now, dayOptions);
+  const buckets = Array.from({ length: days }, (_, index) => ({
+    date: reviewDayKey(startOfReviewDay(now, dayOptions, index), dayOptions),
+    due: 0,
+    overdue: 0,
+    newReviews: 0,
+  }));
+
+  for (const record of reviewCards) {
+    if (record.suspended || (deckId && record.deck !== deckId)) continue;
+    // A buried card comes back once its burial ends.
+    const firstDueAt = Math.max(
+      new Date(record.dueAt).getTime(),
+      record.buriedUntil ? new Date(record.buriedUntil).getTime() : 0
+    );
+    simulateCard(scheduler, record, firstDueAt, {
+      now,
+      horizon: days,
+      dayOptions,
+      onDue: (dayIndex) => {
+        buckets[dayIndex].due += 1;
+        if (dayIndex === 0 && firstDueAt < todayStart) buckets[0].overdue += 1;
+      },
+    });
+  }
+
+  let remaining = newAvailable;
+  for (let day = 0; day < days && remaining > 0; day += 1) {
+    const count = Math.min(newPerDay, remaining);
+    remaining -= count;
+    const learnedAt = day === 0 ? now : startOfReviewDay(now, dayOptions, day);
+    const record = { state: "new", reps: 0, lapses: 0, ease: 2.5, intervalDays: 0 };
+    const first = scheduler.schedule(record, "good", { now: learnedAt });
+    const learned = { ...record, ...first, state: "review", lastReviewedAt: new Date(learnedAt) };
+    const counts = Array.from({ length: days }, () => 0);
+    simulateCard(
+      scheduler,
+      learned,
+      startOfReviewDay(learnedAt, dayOptions, first.intervalDays),
+      {
+        now,
+        horizon: days,
+        dayOptions,
+        onDue: (dayIndex) => {
+          counts[dayIndex] += 1;
+        },
+      }
+    );
+    counts.forEach((value, dayIndex) => {
+      buckets[dayIndex].newReviews += value * count;
+    });
+  }
+
+  return {
+    days: buckets,
+    total: buckets.reduce((sum, bucket) => sum + bucket.due + bucket.newReviews, 0),
+    newCards: newAvailable - remaining,
+    nextDayStartsAt: new Date(nextDayBoundary(now, dayOptions)),
+  };
+};
+
+// Spreads overdue cards over the next `days` days. Cards that are furthest
+// past their interval (most likely forgotten) come first, and short intervals
+// win ties since they lose the most by waiting.
+export const spreadOverdue = (reviewCards, { now = Date.now(), days = 7, dayOptions } = {}) => {
+  const todayStart = startOfReviewDay(now, dayOptions);
+  const overdue = reviewCards
+    .map((record) => {
+      const overdueDays = (todayStart - new Date(record.dueAt).getTime()) / DAY_MS;
+      const intervalDays = Math.max(1, record.intervalDays ?? 0);
+      return { record, overdueDays, priority: overdueDays / intervalDays, intervalDays };
+    })
+    .filter((item) => item.overdueDays > 0)
+    .sort((a, b) => b.priority - a.priority || a.intervalDays - b.intervalDays);
+
+  const perDay = Math.max(1, Math.ceil(overdue.length / days));
+  return overdue.map((item, index) => ({
+    id: item.record.id,
+    dueAt: new Date(startOfReviewDay(now, dayOptions, Math.floor(index / perDay))),
+  }));
+};
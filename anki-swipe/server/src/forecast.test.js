@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildForecast } from "./forecast.js";
+import { createSm2 } from "./scheduler/sm2.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2026, 4, 10, 12);
+const dayOptions = { timeZone: "UTC", dayStartHour: 4 };
+const sm2 = createSm2();
+
+const reviewCard = (id, deck, dueInDays, extra = {}) => ({
+  id,
+  deck,
+  state: "review",
+  reps: 3,
+  lapses: 0,
+  ease: 2.5,
+  intervalDays: 10,
+  dueAt: new Date(now + dueInDays * DAY_MS),
+  lastReviewedAt: new Date(now - 10 * DAY_MS),
+  buriedUntil: null,
+  suspended: false,
+  ...extra,
+});
+
+const CARDS = [
+  reviewCard("overdue", "kanji", -2),
+  reviewCard("later", "hiragana", 3),
+  reviewCard("suspended", "kanji", 0, { suspended: true }),
+  // Buried until the next review day starts, so it waits a day.
+  reviewCard("buried", "kanji", 0, { buriedUntil: new Date(Date.UTC(2026, 4, 11, 4)) }),
+];
+
+const forecast = (options, cards = CARDS) =>
+  buildForecast(sm2, cards, { now, days: 5, dayOptions, ...options });
+
+test("the forecast counts every deck unless one is chosen", () => {
+  const all = forecast();
+  assert.deepEqual(all.days.map((day) => day.due), [1, 1, 0, 1, 0]);
+  assert.equal(all.total, 3);
+  assert.equal(all.days[0].date, "2026-05-10");
+
+  const kanji = forecast({ deckId: "kanji" });
+  assert.deepEqual(kanji.days.map((day) => day.due), [1, 1, 0, 0, 0]);
+  assert.deepEqual(forecast({ deckId: "hiragana" }).days.map((day) => day.due), [0, 0, 0, 1, 0]);
+});
+
+test("overdue cards count on the first day and are marked overdue", () => {
+  const [today] = forecast().days;
+  assert.deepEqual([today.due, today.overdue], [1, 1]);
+});
+
+test("suspended cards are left out and buried ones wait for their burial to end", () => {
+  const only = (id) => forecast({}, CARDS.filter((card) => card.id === id));
+  assert.equal(only("suspended").total, 0);
+  assert.deepEqual(only("buried").days.map((day) => day.due), [0, 1, 0, 0, 0]);
+});
+
+test("new cards learned each day come back on the days the scheduler sets", () => {
+  const result = forecast({ newPerDay: 2, newAvailable: 3 }, []);
+  assert.equal(result.newCards, 3);
+  assert.deepEqual(result.days.map((day) => day.newReviews), [0, 2, 1, 0, 0]);
+});
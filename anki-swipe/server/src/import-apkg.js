@@ -0,0 +1,41 @@
+import { readFile } from "node:fs/promises";
+import { PrismaClient } from "@prisma/client";
+import { FIELD_ROLES, importApkg } from "./anki/importer.js";
+
+const prisma = new PrismaClient();
+
+// npm run import:apkg -- deck.apkg [--with-history] [--script=Front --meaning=Back ...]
+const parseArgs = (args) => {
+  const options = { file: null, withHistory: false, fields: {} };
+  for (const arg of args) {
+    const match = arg.match(/^--([a-zA-Z]+)=(.+)$/);
+    if (arg === "--with-history") options.withHistory = true;
+    else if (match && FIELD_ROLES.includes(match[1])) options.fields[match[1]] = match[2];
+    else if (!arg.startsWith("--")) options.file = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+};
+
+const run = async () => {
+  const { file, ...options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    throw new Error("Usage: npm run import:apkg -- <file.apkg> [--with-history] [--script=Field]");
+  }
+  return importApkg(prisma, await readFile(file), options);
+};
+
+run()
+  .then(({ notes, created, updated, skipped, reviews, logs }) => {
+    console.log(
+      `Anki import complete: ${created} cards created, ${updated} updated, ${skipped} of ${notes} notes skipped`
+    );
+    if (reviews || logs) console.log(`Brought over ${reviews} review cards and ${logs} review logs`);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
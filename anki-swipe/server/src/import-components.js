@@ -0,0 +1,64 @@
+import { readFile } from "node:fs/promises";
+import { PrismaClient } from "@prisma/client";
+import { KANJI_COMPONENTS } from "../../src/data/components.js";
+import { saveComponents } from "./components.js";
+
+const prisma = new PrismaClient();
+
+// KRADFILE predates the radical-form code points, so it writes some components
+// as a kanji that contains them (化 for 亻). These map back to the glyphs the
+// bundled components use.
+const KRADFILE_SUBSTITUTES = {
+  化: "亻",
+  个: "𠆢",
+  并: "丷",
+  刈: "刂",
+  込: "辶",
+  尚: "⺌",
+  忙: "忄",
+  扎: "扌",
+  汁: "氵",
+  犯: "犭",
+  艾: "艹",
+  邦: "阝",
+  阡: "阝",
+  老: "耂",
+  杰: "灬",
+  礼: "礻",
+  疔: "疒",
+  初: "衤",
+  買: "罒",
+};
+
+// KRADFILE lines look like "休 : 化 木"; lines starting with # are comments.
+// The file must be UTF-8 (kradfile-u), not the original EUC-JP.
+const parseKradfile = (text) =>
+  text.split("\n").reduce((acc, line) => {
+    if (!line.trim() || line.startsWith("#")) return acc;
+    const [kanji, parts] = line.split(" : ");
+    if (!kanji || !parts) return acc;
+    acc[kanji.trim()] = parts
+      .trim()
+      .split(/\s+/)
+      .map((part) => KRADFILE_SUBSTITUTES[part] ?? part);
+    return acc;
+  }, {});
+
+const importComponents = async (file) => {
+  const decompositions = file ? parseKradfile(await readFile(file, "utf8")) : KANJI_COMPONENTS;
+  return saveComponents(prisma, decompositions);
+};
+
+importComponents(process.argv[2])
+  .then(({ cards, updated, components }) => {
+    console.log(
+      `Component import complete: ${updated} of ${cards} kanji cards updated, ${components} components`
+    );
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,59 @@
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+// KanjiVG names files after the code point, e.g. 05c71.svg for 山. Variant
+// files (05c71-Kaisho.svg) are skipped.
+const FILE_PATTERN = /^([0-9a-f]{5})\.svg$/i;
+const PATH_PATTERN = /<path\b[^>]*\sd="([^"]+)"/g;
+
+const readStrokes = async (file) => {
+  const svg = await readFile(file, "utf8");
+  return [...svg.matchAll(PATH_PATTERN)].map((match) => match[1]);
+};
+
+const importStrokes = async (directory) => {
+  if (!directory) {
+    throw new Error("Usage: npm run import:strokes -- <path to kanjivg/kanji>");
+  }
+
+  const cards = await prisma.card.findMany({
+    where: { deckId: "kanji" },
+    select: { id: true, script: true },
+  });
+  const cardsByScript = cards.reduce((acc, card) => {
+    acc[card.script] = [...(acc[card.script] ?? []), card.id];
+    return acc;
+  }, {});
+
+  let updated = 0;
+  for (const name of await readdir(directory)) {
+    const match = name.match(FILE_PATTERN);
+    if (!match) continue;
+    const ids = cardsByScript[String.fromCodePoint(parseInt(match[1], 16))];
+    if (!ids) continue;
+    const strokes = await readStrokes(path.join(directory, name));
+    if (!strokes.length) continue;
+    const result = await prisma.card.updateMany({
+      where: { id: { in: ids } },
+      data: { strokes },
+    });
+    updated += result.count;
+  }
+
+  return { cards: cards.length, updated };
+};
+
+importStrokes(process.argv[2])
+  .then(({ cards, updated }) => {
+    console.log(`Stroke import complete: ${updated} of ${cards} kanji cards updated`);
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
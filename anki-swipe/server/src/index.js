@@ -1,7 +1,32 @@
 import express from "express";
 import cors from "cors";
-import { PrismaClient } from "@prisma/client";
+import { Prisma, PrismaClient } from "@prisma/client";
 import { generateEnrichment } from "./enrich.js";
+import { ACTIVE_SCHEDULER, getScheduler } from "./scheduler/index.js";
+import { scheduleWithSteps } from "./scheduler/steps.js";
+import { fuzzRange, pickBalancedInterval } from "./scheduler/fuzz.js";
+import {
+  NotEnoughReviewsError,
+  fitInWorker,
+  loadOptimizerInput,
+  saveSchedulerParams,
+} from "./optimizer.js";
+import { buildVocabularyDeck } from "./vocabulary.js";
+import { ApkgFormatError } from "./anki/apkg.js";
+import { exportApkg, NoDecksError } from "./anki/exporter.js";
+import { FIELD_ROLES, importApkg } from "./anki/importer.js";
+import { buildForecast, spreadOverdue } from "./forecast.js";
+import { pickDistractors } from "./distractors.js";
+import { recordConfusion } from "./confusables.js";
+import {
+  DEFAULT_DAY_OPTIONS,
+  MINUTE_STATES,
+  isValidTimeZone,
+  nextDayBoundary,
+  reviewDaysBetween,
+  startOfReviewDay,
+} from "../../src/lib/reviewDay.js";
+import { clozeFor } from "../../src/lib/cloze.js";
 
 const prisma = new PrismaClient();
 const app = express();
@@ -9,44 +34,254 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-const MIN_EASE = 1.3;
+// Fail at startup rather than on the first answer if SCHEDULER is misspelled.
+getScheduler(ACTIVE_SCHEDULER);
 const now = () => Date.now();
 const EASY_MS = 4000;
 const GOOD_MS = 8000;
 
-const getQuality = (isCorrect, answerMs) => {
-  if (!isCorrect) return 2;
-  if (!answerMs) return 4;
-  if (answerMs <= EASY_MS) return 5;
-  if (answerMs <= GOOD_MS) return 4;
-  return 3;
+const GRADES = ["again", "hard", "good", "easy"];
+// Which review mode produced an answer. Recognition sources only ask the
+// learner to pick the answer, not recall it.
+const ANSWER_SOURCES = ["swipe", "typed", "quiz", "write", "listen", "drill"];
+const RECOGNITION_SOURCES = ["quiz", "listen", "drill"];
+
+// Fallback for clients that still post a boolean: infer the grade from answer time.
+const gradeFromTiming = (isCorrect, answerMs) => {
+  if (!isCorrect) return "again";
+  if (!answerMs) return "good";
+  if (answerMs <= EASY_MS) return "easy";
+  if (answerMs <= GOOD_MS) return "good";
+  return "hard";
 };
 
-const updateReviewCard = (record, isCorrect, answerMs) => {
+const DEFAULT_SETTINGS = {
+  learningSteps: [1, 10],
+  relearningSteps: [10],
+  leechThreshold: 8,
+  leechAction: "suspend",
+  vacationStartedAt: null,
+  recognitionFactor: 0.6,
+  ...DEFAULT_DAY_OPTIONS,
+};
+const LEECH_ACTIONS = ["suspend", "tag"];
+
+const getSettings = async () => {
+  const settings = await prisma.reviewSettings.findUnique({
+    where: { id: "default" },
+  });
+  return { ...DEFAULT_SETTINGS, ...settings, id: "default" };
+};
+
+const dayOptionsFor = (settings) => ({
+  timeZone: settings.timeZone,
+  dayStartHour: settings.dayStartHour,
+});
+
+const schedulerFor = (settings) =>
+  getScheduler(ACTIVE_SCHEDULER, settings.schedulerParams?.[ACTIVE_SCHEDULER]);
+
+const isStepList = (value) =>
+  Array.isArray(value) &&
+  value.every((step) => Number.isInteger(step) && step > 0 && step < 24 * 60);
+
+const SETTINGS_VALIDATORS = {
+  learningSteps: [isStepList, "a list of minutes under one day"],
+  relearningSteps: [isStepList, "a list of minutes under one day"],
+  leechThreshold: [(value) => Number.isInteger(value) && value > 0, "a positive integer"],
+  leechAction: [(value) => LEECH_ACTIONS.includes(value), `one of ${LEECH_ACTIONS.join(", ")}`],
+  timeZone: [isValidTimeZone, "an IANA time zone such as Europe/Berlin"],
+  dayStartHour: [
+    (value) => Number.isInteger(value) && value >= 0 && value <= 23,
+    "an hour between 0 and 23",
+  ],
+  recognitionFactor: [
+    (value) => typeof value === "number" && value >= 0.1 && value <= 1,
+    "a number between 0.1 and 1",
+  ],
+};
+
+// Like Anki, a card is flagged when it reaches the threshold and again every
+// half-threshold lapses after that.
+const isLeechLapse = (lapses, threshold) =>
+  lapses >= threshold &&
+  (lapses - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+
+// Spreads a graduated card's next review to the least busy day inside its
+// fuzz window, based on how many cards are already due on each of those days.
+const balanceDueDate = async (updates, dayOptions, at = now()) => {
+  if (updates.state !== "review") return updates;
+  const [min, max] = fuzzRange(updates.intervalDays);
+  if (min === max) return updates;
+
+  const due = await prisma.reviewCard.findMany({
+    where: {
+      suspended: false,
+      dueAt: {
+        gte: new Date(startOfReviewDay(at, dayOptions, min)),
+        lt: new Date(startOfReviewDay(at, dayOptions, max + 1)),
+      },
+    },
+    select: { dueAt: true },
+  });
+  const loads = due.reduce((acc, item) => {
+    const offset = reviewDaysBetween(at, new Date(item.dueAt).getTime(), dayOptions);
+    acc[offset] = (acc[offset] ?? 0) + 1;
+    return acc;
+  }, {});
+
+  const intervalDays = pickBalancedInterval([min, max], (days) => loads[days] ?? 0);
+  return {
+    ...updates,
+    intervalDays,
+    dueAt: new Date(startOfReviewDay(at, dayOptions, intervalDays)),
+  };
+};
+
+// A correct recognition answer grows the interval by `recognitionFactor` of
+// what the same grade would give for recall.
+const weighRecognition = (updates, settings, at = now()) => {
+  if (updates.state !== "review" || !updates.lastCorrect) return updates;
+  const intervalDays = Math.max(1, Math.round(updates.intervalDays * settings.recognitionFactor));
+  return {
+    ...updates,
+    intervalDays,
+    dueAt: new Date(startOfReviewDay(at, dayOptionsFor(settings), intervalDays)),
+  };
+};
+
+const activeReviewWhere = (at = new Date()) => ({
+  suspended: false,
+  OR: [{ buriedUntil: null }, { buriedUntil: { lte: at } }],
+});
+
+const dueTodayWhere = (at, dayOptions) => ({
+  OR: [
+    { state: { in: MINUTE_STATES }, dueAt: { lte: new Date(at) } },
+    {
+      state: { notIn: MINUTE_STATES },
+      dueAt: { lt: new Date(nextDayBoundary(at, dayOptions)) },
+    },
+  ],
+});
+
+const isBuried = (review, at = now()) =>
+  Boolean(review?.buriedUntil) && new Date(review.buriedUntil).getTime() > at;
+
+const freshReviewState = () => ({
+  intervalIndex: 0,
+  intervalDays: 0,
+  ease: 2.5,
+  reps: 0,
+  lapses: 0,
+  stability: null,
+  difficulty: null,
+  state: "new",
+  learningStep: 0,
+  isLeech: false,
+  suspended: false,
+  buriedUntil: null,
+  dueAt: new Date(),
+  seen: 0,
+  correct: 0,
+  wrong: 0,
+  lastCorrect: true,
+  lastAnsweredAt: new Date(0),
+  lastReviewedAt: new Date(0),
+  lastAnswerMs: 0,
+  avgAnswerMs: 0,
+});
+
+// "forward" shows the kanji and asks for meaning and readings; "reverse"
+// shows the meaning and asks for the kanji; "cloze" blanks the kanji's word
+// in the example sentence.
+const REVIEW_TEMPLATES = ["forward", "reverse", "cloze"];
+
+const exampleFor = (card) => card.examples?.[0] ?? card.enrichment ?? null;
+
+const templatesFor = (card) => {
+  if (card.deckId !== "kanji" || !card.meaning) return ["forward"];
+  return clozeFor(exampleFor(card), card.script) ? REVIEW_TEMPLATES : ["forward", "reverse"];
+};
+
+const buildReviewCard = (card, template = "forward") => ({
+  id: template === "forward" ? `review-${card.id}` : `review-${card.id}-${template}`,
+  cardId: card.id,
+  template,
+  deck: card.deckId,
+  group: card.groupKey,
+  ...freshReviewState(),
+});
+
+const buildMissingReviewCards = async (cards) => {
+  const cardIds = cards.map((card) => card.id);
+  const withExamples = await prisma.card.findMany({
+    where: { id: { in: cardIds } },
+    include: { examples: true, enrichment: true },
+  });
+  const existing = await prisma.reviewCard.findMany({
+    where: { cardId: { in: cardIds } },
+    select: { cardId: true, template: true },
+  });
+  const existingSet = new Set(existing.map((item) => `${item.cardId}:${item.template}`));
+
+  return withExamples.flatMap((card) =>
+    templatesFor(card)
+      .filter((template) => !existingSet.has(`${card.id}:${template}`))
+      .map((template) => buildReviewCard(card, template))
+  );
+};
+
+// Siblings are the other directions of the same card. They are buried until
+// the next day so a kanji is never asked both ways on the same day.
+const burySiblings = async (review, settings) => {
+  const siblings = await prisma.reviewCard.findMany({
+    where: {
+      cardId: review.cardId,
+      id: { not: review.id },
+      suspended: false,
+      state: { notIn: MINUTE_STATES },
+    },
+    select: { id: true, buriedUntil: true },
+  });
+  const buriedUntil = new Date(nextDayBoundary(now(), dayOptionsFor(settings)));
+  return {
+    siblings: siblings.map(({ id, buriedUntil: previous }) => ({
+      id,
+      buriedUntil: previous,
+    })),
+    updates: siblings.map(({ id }) =>
+      prisma.reviewCard.update({ where: { id }, data: { buriedUntil } })
+    ),
+  };
+};
+
+const updateReviewCard = (record, grade, answerMs, settings = DEFAULT_SETTINGS) => {
+  const isCorrect = grade !== "again";
   const seen = record.seen + 1;
   const correct = record.correct + (isCorrect ? 1 : 0);
   const wrong = record.wrong + (isCorrect ? 0 : 1);
-  let ease = record.ease ?? 2.5;
-  let intervalDays = record.intervalDays ?? 0;
-  let reps = record.reps ?? 0;
-  let lapses = record.lapses ?? 0;
-  const q = getQuality(isCorrect, answerMs);
-
-  if (q < 3) {
-    lapses += 1;
-    reps = 0;
-    intervalDays = 1;
-    ease = Math.max(MIN_EASE, ease - 0.2);
-  } else {
-    reps += 1;
-    if (reps === 1) intervalDays = 1;
-    else if (reps === 2) intervalDays = 6;
-    else intervalDays = Math.max(1, Math.round(intervalDays * ease));
-    ease = ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
-    if (ease < MIN_EASE) ease = MIN_EASE;
-  }
-
-  const dueAt = new Date(now() + intervalDays * 24 * 60 * 60 * 1000);
+  const at = now();
+  const dayOptions = dayOptionsFor(settings);
+  const {
+    intervalDays,
+    ease,
+    reps,
+    lapses,
+    stability,
+    difficulty,
+    state,
+    learningStep,
+    dueAt,
+  } = scheduleWithSteps(schedulerFor(settings), record, grade, {
+    now: at,
+    learningSteps: settings.learningSteps,
+    relearningSteps: settings.relearningSteps,
+    dueInDays: (days) => new Date(startOfReviewDay(at, dayOptions, days)),
+  });
+
+  const becameLeech =
+    lapses > (record.lapses ?? 0) && isLeechLapse(lapses, settings.leechThreshold);
   const avgAnswerMs =
     record.avgAnswerMs === 0
       ? answerMs
@@ -61,6 +296,12 @@ const updateReviewCard = (record, isCorrect, answerMs) => {
     ease,
     reps,
     lapses,
+    stability,
+    difficulty,
+    state,
+    learningStep,
+    isLeech: record.isLeech || becameLeech,
+    suspended: record.suspended || (becameLeech && settings.leechAction === "suspend"),
     dueAt,
     lastCorrect: isCorrect,
     lastAnsweredAt: new Date(),
@@ -70,19 +311,53 @@ const updateReviewCard = (record, isCorrect, answerMs) => {
   };
 };
 
+const REVIEW_DATE_FIELDS = ["dueAt", "buriedUntil", "lastAnsweredAt", "lastReviewedAt"];
+
+// Everything needed to put a ReviewCard back the way it was before an answer.
+const snapshotReviewCard = ({ id, cardId, template, deck, group, ...state }, siblings = []) =>
+  JSON.parse(JSON.stringify({ ...state, siblings }));
+
+const restoreSnapshot = ({ siblings, ...snapshot }) => {
+  const state = { ...snapshot };
+  for (const field of REVIEW_DATE_FIELDS) {
+    if (state[field]) state[field] = new Date(state[field]);
+  }
+  return state;
+};
+
 const DEFAULT_LEVELS = ["N5", "N4", "N3", "N2", "N1"];
 
-const mapLifecycleCard = (card) => ({
-  id: card.id,
-  script: card.script,
-  meaning: card.meaning,
-  level: card.groupKey,
-  order: card.order ?? 9999,
-  reviewCount: card.review?.seen ?? 0,
-  intervalDays: card.review?.intervalDays ?? 0,
-  lastReviewedAt: card.review?.lastReviewedAt ?? null,
+// The library tracks a kanji by its forward card; reverse cards follow it.
+const primaryReview = (card) =>
+  card.reviews?.find((review) => review.template === "forward") ?? card.reviews?.[0] ?? null;
+
+const componentInclude = { include: { component: true }, orderBy: { position: "asc" } };
+
+const mapComponent = ({ component }) => ({
+  id: component.id,
+  meaning: component.meaning,
+  radical: component.radical,
 });
 
+const mapLifecycleCard = (card) => {
+  const review = primaryReview(card);
+  return {
+    id: card.id,
+    script: card.script,
+    meaning: card.meaning,
+    level: card.groupKey,
+    order: card.order ?? 9999,
+    components: card.components?.map(mapComponent) ?? [],
+    tags: card.tags,
+    reviewCount: review?.seen ?? 0,
+    intervalDays: review?.intervalDays ?? 0,
+    lastReviewedAt: review?.lastReviewedAt ?? null,
+    hasReview: Boolean(review),
+    suspended: review?.suspended ?? false,
+    buriedUntil: isBuried(review) ? review.buriedUntil : null,
+  };
+};
+
 app.get("/api/decks", async (_req, res) => {
   const decks = await prisma.deck.findMany({
     include: {
@@ -105,9 +380,11 @@ app.get("/api/decks", async (_req, res) => {
         id: card.id,
         script: card.script,
         romaji: card.romaji,
+        reading: card.reading,
         meaning: card.meaning,
         onyomi: card.onyomi,
         kunyomi: card.kunyomi,
+        hasStrokes: Array.isArray(card.strokes) && card.strokes.length > 0,
       })),
     })),
   }));
@@ -128,6 +405,10 @@ const mapExample = (example) =>
       }
     : null;
 
+const wordSelect = { select: { script: true, reading: true, meaning: true } };
+
+const mapWord = (word) => ({ script: word.script, reading: word.reading, meaning: word.meaning });
+
 app.get("/api/kanji/learn", async (req, res) => {
   const limit = Number(req.query.limit || 10);
   const level = req.query.level;
@@ -151,14 +432,17 @@ app.get("/api/kanji/learn", async (req, res) => {
     },
     orderBy: { order: "asc" },
     take: limit,
-    include: { examples: true, enrichment: true },
+    include: {
+      examples: true,
+      enrichment: true,
+      words: wordSelect,
+      components: componentInclude,
+    },
   });
 
   const response = cards
     .map((card) => {
-      const example = card.examples[0]
-        ? mapExample(card.examples[0])
-        : mapExample(card.enrichment);
+      const example = mapExample(exampleFor(card));
       if (!example) return null;
       return {
         id: card.id,
@@ -169,7 +453,11 @@ app.get("/api/kanji/learn", async (req, res) => {
         meaning: card.meaning,
         onyomi: card.onyomi,
         kunyomi: card.kunyomi,
+        mnemonic: card.mnemonic,
+        strokes: card.strokes,
         order: card.order,
+        words: card.words.map(mapWord),
+        components: card.components.map(mapComponent),
         example,
       };
     })
@@ -191,15 +479,18 @@ app.get("/api/kanji/learned", async (_req, res) => {
 
   const cards = await prisma.card.findMany({
     where: { id: { in: cardIds } },
-    include: { examples: true, enrichment: true },
+    include: {
+      examples: true,
+      enrichment: true,
+      words: wordSelect,
+      components: componentInclude,
+    },
     orderBy: { order: "asc" },
   });
 
   const response = cards
     .map((card) => {
-      const example = card.examples[0]
-        ? mapExample(card.examples[0])
-        : mapExample(card.enrichment);
+      const example = mapExample(exampleFor(card));
       if (!example) return null;
       return {
         id: card.id,
@@ -210,7 +501,11 @@ app.get("/api/kanji/learned", async (_req, res) => {
         meaning: card.meaning,
         onyomi: card.onyomi,
         kunyomi: card.kunyomi,
+        mnemonic: card.mnemonic,
+        strokes: card.strokes,
         order: card.order,
+        words: card.words.map(mapWord),
+        components: card.components.map(mapComponent),
         example,
       };
     })
@@ -225,23 +520,35 @@ app.get("/api/kanji/lifecycle", async (req, res) => {
     .map((level) => level.trim())
     .filter(Boolean);
   const levels = levelsParam.length ? levelsParam : DEFAULT_LEVELS;
+  const radical = req.query.radical ? String(req.query.radical) : null;
+  const levelWhere = {
+    deckId: "kanji",
+    ...(levels.length ? { groupKey: { in: levels } } : {}),
+  };
 
   const cards = await prisma.card.findMany({
     where: {
-      deckId: "kanji",
-      ...(levels.length ? { groupKey: { in: levels } } : {}),
+      ...levelWhere,
+      ...(radical ? { components: { some: { componentId: radical } } } : {}),
     },
-    include: { review: true },
+    include: { reviews: true, components: componentInclude },
     orderBy: { order: "asc" },
   });
+  const radicals = await prisma.component.findMany({
+    where: { radical: true, cards: { some: { card: levelWhere } } },
+    include: { _count: { select: { cards: { where: { card: levelWhere } } } } },
+  });
 
   const toLearn = [];
   const learning = [];
   const mastered = [];
+  const paused = [];
 
   for (const card of cards) {
-    const review = card.review;
-    if (!review || review.seen === 0) {
+    const review = primaryReview(card);
+    if (review && (review.suspended || isBuried(review))) {
+      paused.push(mapLifecycleCard(card));
+    } else if (!review || review.seen === 0) {
       toLearn.push(mapLifecycleCard(card));
     } else if ((review.intervalDays ?? 0) >= 10) {
       mastered.push(mapLifecycleCard(card));
@@ -251,11 +558,11 @@ app.get("/api/kanji/lifecycle", async (req, res) => {
   }
 
   const lastReviewed = cards
-    .filter((card) => card.review?.lastReviewedAt)
+    .filter((card) => primaryReview(card)?.lastReviewedAt)
     .sort(
       (a, b) =>
-        new Date(b.review.lastReviewedAt).getTime() -
-        new Date(a.review.lastReviewedAt).getTime()
+        new Date(primaryReview(b).lastReviewedAt).getTime() -
+        new Date(primaryReview(a).lastReviewedAt).getTime()
     )[0];
 
   const suggestionTarget = toLearn[0];
@@ -276,49 +583,282 @@ app.get("/api/kanji/lifecycle", async (req, res) => {
 
   res.json({
     levels,
+    radical,
+    radicals: radicals
+      .map((component) => ({
+        id: component.id,
+        meaning: component.meaning,
+        count: component._count.cards,
+      }))
+      .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id)),
     toLearn,
     learning,
     mastered,
+    paused,
     suggestion,
   });
 });
 
+app.get("/api/settings", async (_req, res) => {
+  res.json(await getSettings());
+});
+
+app.put("/api/settings", async (req, res) => {
+  const data = {};
+  for (const [key, [isValid, expected]] of Object.entries(SETTINGS_VALIDATORS)) {
+    const value = req.body?.[key];
+    if (value === undefined) continue;
+    if (!isValid(value)) {
+      res.status(400).json({ error: `${key} must be ${expected}` });
+      return;
+    }
+    data[key] = value;
+  }
+
+  await prisma.reviewSettings.upsert({
+    where: { id: "default" },
+    update: data,
+    create: { id: "default", ...DEFAULT_SETTINGS, ...data },
+  });
+  res.json(await getSettings());
+});
+
+// Fitting a long history takes a while, so it runs in a worker thread and the
+// client polls GET for the result.
+let optimizerJob = { status: "idle" };
+
+app.get("/api/scheduler/optimize", (_req, res) => {
+  res.json(optimizerJob);
+});
+
+app.post("/api/scheduler/optimize", async (req, res, next) => {
+  if (optimizerJob.status === "running") {
+    res.status(202).json(optimizerJob);
+    return;
+  }
+  const save = Boolean(req.body?.save ?? true);
+  let input;
+  try {
+    input = await loadOptimizerInput(prisma);
+  } catch (error) {
+    if (error instanceof NotEnoughReviewsError) res.status(422).json({ error: error.message });
+    else next(error);
+    return;
+  }
+
+  optimizerJob = { status: "running", startedAt: now() };
+  fitInWorker(input, { now: now() })
+    .then(async (report) => {
+      if (save) await saveSchedulerParams(prisma, report.params);
+      optimizerJob = { status: "done", ...report, saved: save };
+    })
+    .catch((error) => {
+      console.error(error);
+      optimizerJob = { status: "error", error: "Fitting the scheduler failed." };
+    });
+  res.status(202).json(optimizerJob);
+});
+
+app.get("/api/review/forecast", async (req, res) => {
+  const { deckId } = req.query;
+  const days = Math.min(365, Math.max(1, Number(req.query.days || 30)));
+  const newPerDay = Math.max(0, Number(req.query.newPerDay || 0));
+
+  const reviewCards = await prisma.reviewCard.findMany();
+
+  let newAvailable = 0;
+  if (newPerDay > 0) {
+    newAvailable = await prisma.card.count({
+      where: {
+        ...(deckId ? { deckId } : {}),
+        reviews: { none: {} },
+      },
+    });
+  }
+
+  const settings = await getSettings();
+  res.json(
+    buildForecast(schedulerFor(settings), reviewCards, {
+      now: now(),
+      days,
+      newPerDay,
+      newAvailable,
+      deckId,
+      dayOptions: dayOptionsFor(settings),
+    })
+  );
+});
+
 app.get("/api/review", async (_req, res) => {
   const review = await prisma.reviewCard.findMany();
   res.json(review);
 });
 
-app.get("/api/review/due", async (req, res) => {
-  const { deckId } = req.query;
-  const limit = Number(req.query.limit || 10);
-  const reviewCards = await prisma.reviewCard.findMany({
+app.post("/api/vacation", async (req, res) => {
+  const { enabled } = req.body ?? {};
+  if (typeof enabled !== "boolean") {
+    res.status(400).json({ error: "enabled must be a boolean" });
+    return;
+  }
+
+  const settings = await getSettings();
+  const startedAt = settings.vacationStartedAt;
+  if (enabled === Boolean(startedAt)) {
+    res.json({ ...settings, shifted: 0 });
+    return;
+  }
+
+  if (enabled) {
+    await prisma.reviewSettings.upsert({
+      where: { id: "default" },
+      update: { vacationStartedAt: new Date(now()) },
+      create: { id: "default", ...DEFAULT_SETTINGS, vacationStartedAt: new Date(now()) },
+    });
+    res.json({ ...(await getSettings()), shifted: 0 });
+    return;
+  }
+
+  // Coming back pushes due dates, burials and the last review out by the length
+  // of the break, so FSRS does not count the time away as forgetting and the
+  // schedule resumes exactly where it was frozen.
+  const awayMs = Math.max(0, now() - new Date(startedAt).getTime());
+  const away = Prisma.sql`${awayMs}::double precision * INTERVAL '1 millisecond'`;
+  const [shifted] = await prisma.$transaction([
+    prisma.$executeRaw`UPDATE "ReviewCard" SET "dueAt" = "dueAt" + ${away}, "lastReviewedAt" = "lastReviewedAt" + ${away}, "buriedUntil" = "buriedUntil" + ${away}`,
+    prisma.reviewSettings.update({
+      where: { id: "default" },
+      data: { vacationStartedAt: null },
+    }),
+  ]);
+  res.json({ ...(await getSettings()), shifted });
+});
+
+app.post("/api/review/reschedule-overdue", async (req, res) => {
+  const { deckId } = req.body ?? {};
+  const days = Number(req.body?.days ?? 7);
+  if (!Number.isInteger(days) || days < 1 || days > 90) {
+    res.status(400).json({ error: "days must be an integer between 1 and 90" });
+    return;
+  }
+
+  const settings = await getSettings();
+  const overdue = await prisma.reviewCard.findMany({
     where: {
       ...(deckId ? { deck: deckId } : {}),
-      dueAt: { lte: new Date() },
+      suspended: false,
+      state: "review",
+      dueAt: { lt: new Date(startOfReviewDay(now(), dayOptionsFor(settings))) },
     },
   });
+  const plan = spreadOverdue(overdue, {
+    now: now(),
+    days,
+    dayOptions: dayOptionsFor(settings),
+  });
 
-  if (reviewCards.length === 0) {
-    res.json([]);
-    return;
-  }
+  await prisma.$transaction(
+    plan.map(({ id, dueAt }) =>
+      prisma.reviewCard.update({ where: { id }, data: { dueAt } })
+    )
+  );
+  res.json({ rescheduled: plan.length, days });
+});
+
+const attachDistractors = async (items, count) => {
+  const candidates = await prisma.card.findMany({
+    where: { deckId: { in: [...new Set(items.map((item) => item.deck))] } },
+    select: {
+      id: true,
+      deckId: true,
+      groupKey: true,
+      script: true,
+      romaji: true,
+      reading: true,
+      meaning: true,
+      onyomi: true,
+      kunyomi: true,
+      examples: { select: { translation: true }, take: 1 },
+      enrichment: { select: { translation: true } },
+      components: { select: { componentId: true } },
+    },
+  });
+  const ids = items.map((item) => item.id);
+  const pairs = await prisma.confusable.findMany({
+    where: { OR: [{ cardId: { in: ids } }, { otherId: { in: ids } }] },
+    select: { cardId: true, otherId: true },
+  });
+  const withExamples = candidates.map(({ examples, enrichment, components, ...candidate }) => ({
+    ...candidate,
+    componentIds: components.map((component) => component.componentId),
+    example: exampleFor({ examples, enrichment }),
+  }));
+  const componentIdsById = new Map(withExamples.map((card) => [card.id, card.componentIds]));
+  return items.map((item) => ({
+    ...item,
+    distractors: pickDistractors(
+      { ...item, groupKey: item.group, componentIds: componentIdsById.get(item.id) },
+      withExamples.filter((candidate) => candidate.deckId === item.deck),
+      {
+        count,
+        confusableIds: new Set(
+          pairs
+            .filter((pair) => pair.cardId === item.id || pair.otherId === item.id)
+            .map((pair) => (pair.cardId === item.id ? pair.otherId : pair.cardId))
+        ),
+      }
+    ),
+  }));
+};
+
+const confusableSelect = { id: true, script: true, romaji: true, reading: true, meaning: true };
 
+// Each card's look-alikes, from whichever side of the pair it is stored on.
+const attachConfusables = async (items) => {
+  const ids = items.map((item) => item.id);
+  const pairs = await prisma.confusable.findMany({
+    where: { OR: [{ cardId: { in: ids } }, { otherId: { in: ids } }] },
+    include: { card: { select: confusableSelect }, other: { select: confusableSelect } },
+  });
+  return items.map((item) => ({
+    ...item,
+    confusables: pairs
+      .filter((pair) => pair.cardId === item.id || pair.otherId === item.id)
+      .map((pair) => (pair.cardId === item.id ? pair.other : pair.card)),
+  }));
+};
+
+// Hardest cards first, one template per card, with everything a review mode
+// needs to show them.
+const buildSessionCards = async (reviewCards, { limit, distractorCount = 0, drill = false }) => {
   const scored = reviewCards.map((card) => {
     const wrongRate = card.seen ? card.wrong / card.seen : 0;
     const avgMs = card.avgAnswerMs || 0;
     const recentWrong = card.lastCorrect === false ? 1 : 0;
-    const score = wrongRate * 3 + avgMs / 4000 + recentWrong * 2;
+    const inSteps = card.state === "learning" || card.state === "relearning" ? 1 : 0;
+    const score = wrongRate * 3 + avgMs / 4000 + recentWrong * 2 + inSteps * 5;
     return { card, score };
   });
 
+  // Only one direction of a card per session; the other is buried once answered.
+  const seenCards = new Set();
   const prioritized = scored
     .sort((a, b) => b.score - a.score)
+    .filter(({ card }) => {
+      if (seenCards.has(card.cardId)) return false;
+      seenCards.add(card.cardId);
+      return true;
+    })
     .slice(0, Math.max(1, limit))
     .map((item) => item.card);
 
   const cardIds = prioritized.map((card) => card.cardId);
   const cards = await prisma.card.findMany({
     where: { id: { in: cardIds } },
+    include: {
+      examples: true,
+      enrichment: true,
+      kanji: { select: { script: true, meaning: true } },
+    },
   });
 
   const cardMap = cards.reduce((acc, card) => {
@@ -336,46 +876,139 @@ app.get("/api/review/due", async (req, res) => {
         group: card.groupKey,
         script: card.script,
         romaji: card.romaji,
+        reading: card.reading,
         meaning: card.meaning,
         onyomi: card.onyomi,
         kunyomi: card.kunyomi,
+        mnemonic: card.mnemonic,
+        strokes: card.strokes,
+        kanji: card.kanji,
+        template: review.template,
+        example: mapExample(exampleFor(card)),
         review,
       };
     })
     .filter(Boolean);
 
-  res.json(response);
+  const withDistractors = distractorCount
+    ? await attachDistractors(response, distractorCount)
+    : response;
+  return drill ? attachConfusables(withDistractors) : withDistractors;
+};
+
+const drillWhere = {
+  card: { OR: [{ confusables: { some: {} } }, { confusedWith: { some: {} } }] },
+};
+// Write mode can only grade cards whose stroke order is known.
+const strokesWhere = { card: { strokes: { not: Prisma.AnyNull } } };
+
+app.get("/api/review/due", async (req, res) => {
+  const { deckId } = req.query;
+  const limit = Number(req.query.limit || 10);
+  const distractorCount = Math.min(5, Math.max(0, Number(req.query.distractors || 0)));
+  const drill = req.query.drill === "1";
+  const strokes = req.query.strokes === "1";
+  const settings = await getSettings();
+  if (settings.vacationStartedAt) {
+    res.json([]);
+    return;
+  }
+
+  const reviewCards = await prisma.reviewCard.findMany({
+    where: {
+      ...(deckId ? { deck: deckId } : {}),
+      AND: [
+        activeReviewWhere(),
+        dueTodayWhere(now(), dayOptionsFor(settings)),
+        ...(drill ? [drillWhere] : []),
+        ...(strokes ? [strokesWhere] : []),
+      ],
+    },
+  });
+
+  if (reviewCards.length === 0) {
+    res.json([]);
+    return;
+  }
+
+  res.json(await buildSessionCards(reviewCards, { limit, distractorCount, drill }));
 });
 
-app.post("/api/review/seed", async (_req, res) => {
-  const cards = await prisma.card.findMany();
-  const existing = await prisma.reviewCard.findMany({
-    select: { cardId: true },
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+// A filtered session ignores due dates and picks cards by the given criteria.
+// "Learned within N days" means the card's first answer is that recent.
+app.post("/api/review/custom", async (req, res) => {
+  const {
+    deckId = null,
+    levels = [],
+    tags = [],
+    minLapses = 0,
+    lastWrong = false,
+    learnedWithinDays = 0,
+    limit = 20,
+    distractors = 0,
+    drill = false,
+    strokes = false,
+  } = req.body ?? {};
+  if (!isStringList(levels) || !isStringList(tags)) {
+    res.status(400).json({ error: "levels and tags must be lists of strings" });
+    return;
+  }
+  const counts = [minLapses, learnedWithinDays, limit];
+  if (!counts.every((value) => Number.isInteger(value) && value >= 0)) {
+    res.status(400).json({ error: "minLapses, learnedWithinDays and limit must be whole numbers" });
+    return;
+  }
+  const settings = await getSettings();
+  if (settings.vacationStartedAt) {
+    res.json([]);
+    return;
+  }
+
+  const filters = [activeReviewWhere()];
+  if (deckId) filters.push({ deck: deckId });
+  if (levels.length) filters.push({ card: { level: { in: levels } } });
+  if (tags.length) filters.push({ card: { tags: { hasSome: tags } } });
+  if (minLapses > 0) filters.push({ lapses: { gte: minLapses } });
+  if (lastWrong) filters.push({ seen: { gt: 0 }, lastCorrect: false });
+  if (learnedWithinDays > 0) {
+    const dayOptions = dayOptionsFor(settings);
+    const since = new Date(startOfReviewDay(now(), dayOptions, 1 - learnedWithinDays));
+    filters.push({
+      logs: { some: { reviewedAt: { gte: since } }, none: { reviewedAt: { lt: since } } },
+    });
+  }
+  if (drill) filters.push(drillWhere);
+  if (strokes) filters.push(strokesWhere);
+
+  const reviewCards = await prisma.reviewCard.findMany({ where: { AND: filters } });
+  if (reviewCards.length === 0) {
+    res.json([]);
+    return;
+  }
+
+  res.json(
+    await buildSessionCards(reviewCards, {
+      limit: Math.min(200, limit || 20),
+      distractorCount: Math.min(5, Math.max(0, Number(distractors) || 0)),
+      drill: Boolean(drill),
+    })
+  );
+});
+
+app.get("/api/tags", async (_req, res) => {
+  const cards = await prisma.card.findMany({
+    where: { NOT: { tags: { isEmpty: true } } },
+    select: { tags: true },
   });
-  const existingSet = new Set(existing.map((item) => item.cardId));
+  res.json([...new Set(cards.flatMap((card) => card.tags))].sort());
+});
 
-  const createList = cards
-    .filter((card) => !existingSet.has(card.id))
-    .map((card) => ({
-      id: `review-${card.id}`,
-      cardId: card.id,
-      deck: card.deckId,
-      group: card.groupKey,
-      intervalIndex: 0,
-      intervalDays: 0,
-      ease: 2.5,
-      reps: 0,
-      lapses: 0,
-      dueAt: new Date(),
-      seen: 0,
-      correct: 0,
-      wrong: 0,
-      lastCorrect: true,
-      lastAnsweredAt: new Date(0),
-      lastReviewedAt: new Date(0),
-      lastAnswerMs: 0,
-      avgAnswerMs: 0,
-    }));
+app.post("/api/review/seed", async (_req, res) => {
+  const cards = await prisma.card.findMany();
+  const createList = await buildMissingReviewCards(cards);
 
   if (createList.length) {
     await prisma.reviewCard.createMany({ data: createList, skipDuplicates: true });
@@ -384,6 +1017,60 @@ app.post("/api/review/seed", async (_req, res) => {
   res.json({ created: createList.length });
 });
 
+app.post("/api/vocabulary/build", async (_req, res) => {
+  res.json(await buildVocabularyDeck(prisma));
+});
+
+// The package is the raw request body; query parameters name the note field
+// for a role (?script=Front) and ask for review history (?history=1). Notes are
+// saved one by one inside the request, so bigger packages go through
+// `npm run import:apkg` instead.
+app.post(
+  "/api/import/apkg",
+  express.raw({ type: "application/octet-stream", limit: "25mb" }),
+  async (req, res, next) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      res.status(400).json({ error: "send the .apkg file as application/octet-stream" });
+      return;
+    }
+    const fields = Object.fromEntries(
+      FIELD_ROLES.filter((role) => typeof req.query[role] === "string").map((role) => [
+        role,
+        req.query[role],
+      ])
+    );
+    try {
+      res.json(
+        await importApkg(prisma, req.body, { withHistory: req.query.history === "1", fields })
+      );
+    } catch (error) {
+      if (error instanceof ApkgFormatError) res.status(422).json({ error: error.message });
+      else next(error);
+    }
+  }
+);
+
+// ?decks=kanji,hiragana limits the export; ?scheduling=1 includes review state.
+app.get("/api/export/apkg", async (req, res, next) => {
+  const deckIds =
+    typeof req.query.decks === "string" ? req.query.decks.split(",").filter(Boolean) : [];
+  try {
+    const { buffer } = await exportApkg(prisma, {
+      deckIds,
+      withScheduling: req.query.scheduling === "1",
+      settings: await getSettings(),
+    });
+    res.set({
+      "Content-Type": "application/octet-stream",
+      "Content-Disposition": 'attachment; filename="anki-swipe.apkg"',
+    });
+    res.send(buffer);
+  } catch (error) {
+    if (error instanceof NoDecksError) res.status(404).json({ error: error.message });
+    else next(error);
+  }
+});
+
 app.post("/api/kanji/enrich", async (req, res) => {
   const { cardIds, level, limit } = req.body ?? {};
   const take = Number(limit || 10);
@@ -452,6 +1139,109 @@ app.post("/api/progress/reset", async (_req, res) => {
   res.json({ reset: true });
 });
 
+app.get("/api/kanji/leeches", async (_req, res) => {
+  const leeches = await prisma.reviewCard.findMany({
+    where: { isLeech: true },
+    include: { card: true },
+    orderBy: { lapses: "desc" },
+  });
+
+  res.json(
+    leeches.map((review) => ({
+      id: review.card.id,
+      template: review.template,
+      script: review.card.script,
+      meaning: review.card.meaning,
+      level: review.card.groupKey,
+      mnemonic: review.card.mnemonic,
+      tags: review.card.tags,
+      lapses: review.lapses,
+      suspended: review.suspended,
+    }))
+  );
+});
+
+app.patch("/api/cards/:id", async (req, res) => {
+  const { mnemonic, tags } = req.body ?? {};
+  if (mnemonic !== undefined && mnemonic !== null && typeof mnemonic !== "string") {
+    res.status(400).json({ error: "mnemonic must be a string or null" });
+    return;
+  }
+  if (tags !== undefined && !isStringList(tags)) {
+    res.status(400).json({ error: "tags must be a list of strings" });
+    return;
+  }
+
+  const card = await prisma.card.findUnique({ where: { id: req.params.id } });
+  if (!card) {
+    res.status(404).json({ error: "card not found" });
+    return;
+  }
+
+  const updated = await prisma.card.update({
+    where: { id: card.id },
+    data: {
+      ...(mnemonic !== undefined ? { mnemonic: mnemonic?.trim() || null } : {}),
+      ...(tags !== undefined
+        ? { tags: [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))] }
+        : {}),
+    },
+  });
+  res.json({ id: updated.id, mnemonic: updated.mnemonic, tags: updated.tags });
+});
+
+// Without a template these act on every direction of the card, which is what
+// the library wants; a review session passes the template it is showing.
+const reviewCardWhere = (body, res) => {
+  const { cardId, template } = body ?? {};
+  if (!cardId) {
+    res.status(400).json({ error: "cardId required" });
+    return null;
+  }
+  if (template !== undefined && !REVIEW_TEMPLATES.includes(template)) {
+    res.status(400).json({ error: `template must be one of ${REVIEW_TEMPLATES.join(", ")}` });
+    return null;
+  }
+  return { cardId, ...(template ? { template } : {}) };
+};
+
+const updateReviewCards = async (where, res, data) => {
+  const { count } = await prisma.reviewCard.updateMany({ where, data });
+  if (!count) {
+    res.status(404).json({ error: "review card not found" });
+    return;
+  }
+  res.json(await prisma.reviewCard.findMany({ where }));
+};
+
+const reviewStateHandler = (getData) => async (req, res) => {
+  const where = reviewCardWhere(req.body, res);
+  if (!where) return;
+  await updateReviewCards(where, res, await getData());
+};
+
+app.post("/api/review/suspend", reviewStateHandler(() => ({ suspended: true })));
+app.post("/api/review/unsuspend", reviewStateHandler(() => ({ suspended: false })));
+app.post(
+  "/api/review/bury",
+  reviewStateHandler(async () => {
+    const settings = await getSettings();
+    return { buriedUntil: new Date(nextDayBoundary(now(), dayOptionsFor(settings))) };
+  })
+);
+app.post("/api/review/unbury", reviewStateHandler(() => ({ buriedUntil: null })));
+
+app.post("/api/review/reset-card", async (req, res) => {
+  const where = reviewCardWhere(req.body, res);
+  if (!where) return;
+  // The log stays for the optimizer, but its snapshots must not undo the reset.
+  await prisma.reviewLog.updateMany({
+    where: { reviewCard: { is: where } },
+    data: { reviewCardId: null },
+  });
+  await updateReviewCards(where, res, freshReviewState());
+});
+
 app.post("/api/review/add-group", async (req, res) => {
   const { deckId, groupId } = req.body;
   if (!deckId || !groupId) {
@@ -463,34 +1253,7 @@ app.post("/api/review/add-group", async (req, res) => {
   const cards = await prisma.card.findMany({
     where: { groupId: groupKey },
   });
-
-  const existing = await prisma.reviewCard.findMany({
-    select: { cardId: true },
-  });
-  const existingSet = new Set(existing.map((item) => item.cardId));
-
-  const createList = cards
-    .filter((card) => !existingSet.has(card.id))
-    .map((card) => ({
-      id: `review-${card.id}`,
-      cardId: card.id,
-      deck: card.deckId,
-      group: card.groupKey,
-      intervalIndex: 0,
-      intervalDays: 0,
-      ease: 2.5,
-      reps: 0,
-      lapses: 0,
-      dueAt: new Date(),
-      seen: 0,
-      correct: 0,
-      wrong: 0,
-      lastCorrect: true,
-      lastAnsweredAt: new Date(0),
-      lastReviewedAt: new Date(0),
-      lastAnswerMs: 0,
-      avgAnswerMs: 0,
-    }));
+  const createList = await buildMissingReviewCards(cards);
 
   if (createList.length) {
     await prisma.reviewCard.createMany({ data: createList, skipDuplicates: true });
@@ -509,35 +1272,7 @@ app.post("/api/review/add-cards", async (req, res) => {
   const cards = await prisma.card.findMany({
     where: { id: { in: cardIds } },
   });
-
-  const existing = await prisma.reviewCard.findMany({
-    where: { cardId: { in: cardIds } },
-    select: { cardId: true },
-  });
-  const existingSet = new Set(existing.map((item) => item.cardId));
-
-  const createList = cards
-    .filter((card) => !existingSet.has(card.id))
-    .map((card) => ({
-      id: `review-${card.id}`,
-      cardId: card.id,
-      deck: card.deckId,
-      group: card.groupKey,
-      intervalIndex: 0,
-      intervalDays: 0,
-      ease: 2.5,
-      reps: 0,
-      lapses: 0,
-      dueAt: new Date(),
-      seen: 0,
-      correct: 0,
-      wrong: 0,
-      lastCorrect: true,
-      lastAnsweredAt: new Date(0),
-      lastReviewedAt: new Date(0),
-      lastAnswerMs: 0,
-      avgAnswerMs: 0,
-    }));
+  const createList = await buildMissingReviewCards(cards);
 
   if (createList.length) {
     await prisma.reviewCard.createMany({ data: createList, skipDuplicates: true });
@@ -563,16 +1298,48 @@ app.post("/api/review/add-cards", async (req, res) => {
 });
 
 app.post("/api/review/answer", async (req, res) => {
-  const { cardId, isCorrect, answerMs } = req.body;
+  const {
+    cardId,
+    grade,
+    isCorrect,
+    answerMs,
+    template = "forward",
+    source = "swipe",
+    confusedWith = null,
+    cram = false,
+  } = req.body;
   if (!cardId) {
     res.status(400).json({ error: "cardId required" });
     return;
   }
+  if (grade !== undefined && !GRADES.includes(grade)) {
+    res.status(400).json({ error: `grade must be one of ${GRADES.join(", ")}` });
+    return;
+  }
+  if (!REVIEW_TEMPLATES.includes(template)) {
+    res.status(400).json({ error: `template must be one of ${REVIEW_TEMPLATES.join(", ")}` });
+    return;
+  }
+  if (!ANSWER_SOURCES.includes(source)) {
+    res.status(400).json({ error: `source must be one of ${ANSWER_SOURCES.join(", ")}` });
+    return;
+  }
+  if (confusedWith !== null && typeof confusedWith !== "string") {
+    res.status(400).json({ error: "confusedWith must be a card id" });
+    return;
+  }
 
   let review = await prisma.reviewCard.findUnique({
-    where: { cardId },
+    where: { cardId_template: { cardId, template } },
   });
 
+  // Cram answers are practice: the schedule and the review log stay as they are.
+  if (cram) {
+    if (review) res.json({ ...review, logId: null });
+    else res.status(404).json({ error: "review card not found" });
+    return;
+  }
+
   if (!review) {
     const card = await prisma.card.findUnique({ where: { id: cardId } });
     if (!card) {
@@ -581,37 +1348,99 @@ app.post("/api/review/answer", async (req, res) => {
     }
 
     review = await prisma.reviewCard.create({
-      data: {
-        id: `review-${card.id}`,
-        cardId: card.id,
-        deck: card.deckId,
-        group: card.groupKey,
-        intervalIndex: 0,
-        intervalDays: 0,
-        ease: 2.5,
-        reps: 0,
-        lapses: 0,
-        dueAt: new Date(),
-        seen: 0,
-        correct: 0,
-        wrong: 0,
-        lastCorrect: true,
-        lastAnsweredAt: new Date(0),
-        lastReviewedAt: new Date(0),
-        lastAnswerMs: 0,
-        avgAnswerMs: 0,
-      },
+      data: buildReviewCard(card, template),
     });
   }
 
-  const updates = updateReviewCard(review, Boolean(isCorrect), Number(answerMs || 0));
+  const elapsedMs = Number(answerMs || 0);
+  const resolvedGrade = grade ?? gradeFromTiming(Boolean(isCorrect), elapsedMs);
+  const settings = await getSettings();
+  const scheduled = updateReviewCard(review, resolvedGrade, elapsedMs, settings);
+  const updates = await balanceDueDate(
+    RECOGNITION_SOURCES.includes(source) ? weighRecognition(scheduled, settings) : scheduled,
+    dayOptionsFor(settings)
+  );
+
+  const { siblings, updates: siblingUpdates } = await burySiblings(review, settings);
+
+  const [updated, log] = await prisma.$transaction([
+    prisma.reviewCard.update({
+      where: { id: review.id },
+      data: updates,
+    }),
+    prisma.reviewLog.create({
+      data: {
+        reviewCardId: review.id,
+        cardId,
+        template: review.template,
+        grade: resolvedGrade,
+        source,
+        confusedWithId: resolvedGrade === "again" ? confusedWith : null,
+        answerMs: elapsedMs,
+        prevIntervalDays: review.intervalDays,
+        intervalDays: updates.intervalDays,
+        prevEase: review.ease,
+        ease: updates.ease,
+        prevDueAt: review.dueAt,
+        dueAt: updates.dueAt,
+        snapshot: snapshotReviewCard(review, siblings),
+        reviewedAt: updates.lastReviewedAt,
+      },
+    }),
+    ...siblingUpdates,
+  ]);
+
+  if (log.confusedWithId) await recordConfusion(prisma, cardId, log.confusedWithId);
+
+  res.json({ ...updated, logId: log.id });
+});
+
+app.post("/api/review/undo", async (req, res) => {
+  const { logId } = req.body ?? {};
+  const log = logId
+    ? await prisma.reviewLog.findUnique({ where: { id: logId } })
+    : await prisma.reviewLog.findFirst({
+        where: { reviewCardId: { not: null } },
+        orderBy: { reviewedAt: "desc" },
+      });
+  if (!log) {
+    res.status(404).json({ error: "nothing to undo" });
+    return;
+  }
+  if (!log.reviewCardId) {
+    res.status(409).json({ error: "the card was reset since this answer" });
+    return;
+  }
+  if (!log.snapshot) {
+    res.status(409).json({ error: "review log has no snapshot to restore" });
+    return;
+  }
 
-  const updated = await prisma.reviewCard.update({
-    where: { cardId },
-    data: updates,
+  const latest = await prisma.reviewLog.findFirst({
+    where: { reviewCardId: log.reviewCardId },
+    orderBy: { reviewedAt: "desc" },
+    select: { id: true },
   });
+  if (latest?.id !== log.id) {
+    res.status(409).json({ error: "only the latest answer for a card can be undone" });
+    return;
+  }
 
-  res.json(updated);
+  const [restored] = await prisma.$transaction([
+    prisma.reviewCard.update({
+      where: { id: log.reviewCardId },
+      data: restoreSnapshot(log.snapshot),
+    }),
+    prisma.reviewLog.delete({ where: { id: log.id } }),
+    ...(log.snapshot.siblings ?? []).map(({ id, buriedUntil }) =>
+      prisma.reviewCard.updateMany({
+        where: { id },
+        data: { buriedUntil: buriedUntil ? new Date(buriedUntil) : null },
+      })
+    ),
+  ]);
+
+  res.json({ ...restored, undoneLogId: log.id });
 });
 
 const PORT = process.env.PORT || 3001;
@@ -0,0 +1,35 @@
+import { PrismaClient } from "@prisma/client";
+import { deriveMemoryState } from "./scheduler/fsrs.js";
+
+const prisma = new PrismaClient();
+
+const migrate = async () => {
+  const reviewCards = await prisma.reviewCard.findMany({
+    where: { OR: [{ stability: null }, { difficulty: null }] },
+  });
+
+  let updated = 0;
+  for (const record of reviewCards) {
+    const memory = deriveMemoryState({ ...record, stability: null, difficulty: null });
+    if (!memory) continue;
+    await prisma.reviewCard.update({
+      where: { id: record.id },
+      data: memory,
+    });
+    updated += 1;
+  }
+
+  return { scanned: reviewCards.length, updated };
+};
+
+migrate()
+  .then(({ scanned, updated }) => {
+    console.log(`FSRS migration complete: ${updated} of ${scanned} review cards updated`);
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
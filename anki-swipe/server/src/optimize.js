@@ -0,0 +1,27 @@
+import { PrismaClient } from "@prisma/client";
+import { runOptimizer } from "./optimizer.js";
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes("--dry-run");
+
+const formatPercent = (value) => (value == null ? "n/a" : `${(value * 100).toFixed(1)}%`);
+
+runOptimizer(prisma, { save: !dryRun })
+  .then((report) => {
+    console.log(`Fitted ${report.scheduler} parameters from ${report.reviewCount} reviews`);
+    console.log(`Log loss: ${report.logLoss.before} -> ${report.logLoss.after}`);
+    console.log(
+      `Expected retention: ${formatPercent(report.expectedRetention.before)} -> ${formatPercent(
+        report.expectedRetention.after
+      )}`
+    );
+    console.log(JSON.stringify(report.params[report.scheduler], null, 2));
+    console.log(report.saved ? "Parameters saved" : "Dry run, nothing saved");
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
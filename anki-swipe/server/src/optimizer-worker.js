@@ -0,0 +1,4 @@
+import { parentPort, workerData } from "node:worker_threads";
+import { fitScheduler } from "./optimizer.js";
+
+parentPort.postMessage(fitScheduler(workerData.input, workerData.options));
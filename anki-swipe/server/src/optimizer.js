@@ -0,0 +1,111 @@
+import { Worker } from "node:worker_threads";
+import { ACTIVE_SCHEDULER, getScheduler } from "./scheduler/index.js";
+import { DEFAULT_WEIGHTS, createMemoryModel } from "./scheduler/fsrs.js";
+import {
+  buildHistories,
+  countReviews,
+  expectedRetention,
+  fitSm2,
+  fitWeights,
+  historyKey,
+  logLoss,
+  replayHistory,
+} from "./scheduler/fit.js";
+
+const MIN_REVIEWS = 50;
+
+export class NotEnoughReviewsError extends Error {}
+
+const round = (value) => (value == null ? null : Number(value.toFixed(4)));
+
+export const loadOptimizerInput = async (prisma) => {
+  const logs = await prisma.reviewLog.findMany({
+    select: { cardId: true, template: true, grade: true, reviewedAt: true },
+    orderBy: { reviewedAt: "asc" },
+  });
+  const reviewCount = countReviews([...buildHistories(logs).values()]);
+  if (reviewCount < MIN_REVIEWS) {
+    throw new NotEnoughReviewsError(
+      `Need at least ${MIN_REVIEWS} reviews made a day or more apart; found ${reviewCount}.`
+    );
+  }
+
+  const settings = await prisma.reviewSettings.findUnique({
+    where: { id: "default" },
+  });
+  const reviewCards = await prisma.reviewCard.findMany({
+    where: { state: "review" },
+  });
+  return { logs, currentParams: settings?.schedulerParams ?? {}, reviewCards };
+};
+
+// CPU only, so the server can run it off the request thread.
+export const fitScheduler = (
+  { logs, currentParams, reviewCards },
+  { schedulerId = ACTIVE_SCHEDULER, now = Date.now() } = {}
+) => {
+  const histories = buildHistories(logs);
+  const historyList = [...histories.values()];
+  const reviewCount = countReviews(historyList);
+  const currentWeights = currentParams.fsrs?.weights ?? DEFAULT_WEIGHTS;
+
+  const fitted = fitWeights(historyList, { initial: currentWeights });
+  const nextParams = {
+    ...currentParams,
+    fsrs: { weights: fitted.weights },
+    sm2: fitSm2(fitted.weights, historyList),
+    fittedAt: new Date(now).toISOString(),
+    reviewCount,
+  };
+
+  const model = createMemoryModel(fitted.weights);
+  const cards = reviewCards.map((record) => ({
+    record,
+    memory: replayHistory(model, histories.get(historyKey(record)) ?? []),
+  }));
+
+  const before = getScheduler(schedulerId, currentParams[schedulerId]);
+  const after = getScheduler(schedulerId, nextParams[schedulerId]);
+
+  return {
+    scheduler: schedulerId,
+    reviewCount,
+    logLoss: {
+      before: round(logLoss(currentWeights, historyList)),
+      after: round(fitted.loss),
+    },
+    expectedRetention: {
+      before: round(expectedRetention(before, cards, model, now)),
+      after: round(expectedRetention(after, cards, model, now)),
+    },
+    params: nextParams,
+  };
+};
+
+export const fitInWorker = (input, options) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./optimizer-worker.js", import.meta.url), {
+      workerData: { input, options },
+    });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`Optimizer worker stopped with exit code ${code}`));
+    });
+  });
+
+export const saveSchedulerParams = (prisma, params) =>
+  prisma.reviewSettings.upsert({
+    where: { id: "default" },
+    update: { schedulerParams: params },
+    create: { id: "default", schedulerParams: params },
+  });
+
+export const runOptimizer = async (
+  prisma,
+  { schedulerId = ACTIVE_SCHEDULER, save = true, now = Date.now() } = {}
+) => {
+  const report = fitScheduler(await loadOptimizerInput(prisma), { schedulerId, now });
+  if (save) await saveSchedulerParams(prisma, report.params);
+  return { ...report, saved: save };
+};
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { fitScheduler, loadOptimizerInput, NotEnoughReviewsError } from "./optimizer.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2026, 0, 1);
+
+// Each card is answered on days 0, 2 and 6; every third card is forgotten
+// at the last review.
+const logsFor = (cards) =>
+  Array.from({ length: cards }, (_, card) =>
+    [0, 2, 6].map((day, index) => ({
+      cardId: `card-${card}`,
+      template: "forward",
+      grade: index === 2 && card % 3 === 0 ? "again" : "good",
+      reviewedAt: new Date(start + day * DAY_MS),
+    }))
+  ).flat();
+
+const prismaWith = (logs) => ({
+  reviewLog: { findMany: async () => logs },
+  reviewSettings: { findUnique: async () => null },
+  reviewCard: { findMany: async () => [] },
+});
+
+test("the optimizer refuses to fit fewer than 50 spaced reviews", async () => {
+  // 24 cards give 48 reviews made a day or more apart.
+  await assert.rejects(loadOptimizerInput(prismaWith(logsFor(24))), NotEnoughReviewsError);
+  const input = await loadOptimizerInput(prismaWith(logsFor(25)));
+  assert.equal(input.logs.length, 75);
+});
+
+test("fitScheduler reports the fit against the current parameters", async () => {
+  const input = await loadOptimizerInput(prismaWith(logsFor(30)));
+  const now = start + 10 * DAY_MS;
+  const report = fitScheduler(input, { schedulerId: "sm2", now });
+  assert.equal(report.scheduler, "sm2");
+  assert.equal(report.reviewCount, 60);
+  assert.ok(report.logLoss.after <= report.logLoss.before);
+  assert.equal(report.params.fittedAt, new Date(now).toISOString());
+  assert.equal(report.params.fsrs.weights.length, 17);
+  assert.ok(report.params.sm2.minEase <= report.params.sm2.initialEase);
+});
@@ -0,0 +1,156 @@
+import {
+  DEFAULT_WEIGHTS,
+  GRADE_RATING,
+  createMemoryModel,
+  retrievability,
+} from "./fsrs.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Reviews closer together than this are learning steps and don't move
+// long-term memory, so they are skipped when replaying a history.
+const SAME_DAY_DAYS = 0.5;
+
+const WEIGHT_BOUNDS = [
+  [0.01, 100], [0.01, 100], [0.01, 100], [0.01, 100],
+  [1, 10], [0.01, 4], [0.01, 4], [0, 0.75], [0, 4.5], [0, 0.8], [0.01, 3.5],
+  [0.1, 5], [0.01, 0.25], [0.01, 0.9], [0.01, 4], [0, 1], [1, 6],
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const quantile = (values, q) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+};
+
+// Keyed by card and direction rather than review card id, so answers given
+// before a progress reset still count.
+export const historyKey = ({ cardId, template = "forward" }) => `${cardId}:${template}`;
+
+export const buildHistories = (logs) => {
+  const histories = new Map();
+  for (const log of logs) {
+    const key = historyKey(log);
+    const history = histories.get(key) ?? [];
+    history.push({
+      rating: GRADE_RATING[log.grade] ?? GRADE_RATING.good,
+      at: new Date(log.reviewedAt).getTime(),
+    });
+    histories.set(key, history);
+  }
+  for (const history of histories.values()) history.sort((a, b) => a.at - b.at);
+  return histories;
+};
+
+export const replayHistory = (model, history, onReview) => {
+  let state = null;
+  let lastAt = null;
+  for (const { rating, at } of history) {
+    if (!state) {
+      state = model.init(rating);
+      lastAt = at;
+      continue;
+    }
+    const elapsedDays = (at - lastAt) / DAY_MS;
+    if (elapsedDays < SAME_DAY_DAYS) continue;
+    onReview?.({ state, rating, elapsedDays, r: retrievability(elapsedDays, state.stability) });
+    state = model.next(state, rating, elapsedDays);
+    lastAt = at;
+  }
+  return { state, lastAt };
+};
+
+export const countReviews = (histories) => {
+  const model = createMemoryModel(DEFAULT_WEIGHTS);
+  let count = 0;
+  for (const history of histories) {
+    replayHistory(model, history, () => {
+      count += 1;
+    });
+  }
+  return count;
+};
+
+export const logLoss = (weights, histories) => {
+  const model = createMemoryModel(weights);
+  let total = 0;
+  let count = 0;
+  for (const history of histories) {
+    replayHistory(model, history, ({ r, rating }) => {
+      const p = clamp(r, 1e-6, 1 - 1e-6);
+      total -= rating > 1 ? Math.log(p) : Math.log(1 - p);
+      count += 1;
+    });
+  }
+  return count ? total / count : 0;
+};
+
+// Coordinate descent on the FSRS weights, minimising the log loss of the
+// predicted recall probability against what was actually recalled.
+export const fitWeights = (histories, { initial = DEFAULT_WEIGHTS, rounds = 40 } = {}) => {
+  const weights = initial.map((weight, index) => clamp(weight, ...WEIGHT_BOUNDS[index]));
+  const steps = weights.map(() => 0.2);
+  let best = logLoss(weights, histories);
+
+  for (let round = 0; round < rounds; round += 1) {
+    for (let index = 0; index < weights.length; index += 1) {
+      const [min, max] = WEIGHT_BOUNDS[index];
+      const delta = steps[index] * Math.max(Math.abs(weights[index]), 0.05);
+      let improved = false;
+      for (const direction of [1, -1]) {
+        const candidate = [...weights];
+        candidate[index] = clamp(weights[index] + direction * delta, min, max);
+        if (candidate[index] === weights[index]) continue;
+        const loss = logLoss(candidate, histories);
+        if (loss < best - 1e-9) {
+          best = loss;
+          weights[index] = candidate[index];
+          improved = true;
+          break;
+        }
+      }
+      if (!improved) steps[index] /= 2;
+    }
+    if (steps.every((step) => step < 0.005)) break;
+  }
+
+  return { weights: weights.map((weight) => Number(weight.toFixed(4))), loss: best };
+};
+
+// A heuristic rather than a fit: SM-2 has no recall probability to score
+// against the logged answers, so its eases are read off the fitted FSRS model.
+// The median stability growth on "good" becomes the starting ease and the 10th
+// percentile the floor lapses can push it down to.
+export const fitSm2 = (weights, histories) => {
+  const model = createMemoryModel(weights);
+  const growth = [];
+  for (const history of histories) {
+    replayHistory(model, history, ({ state, rating, elapsedDays }) => {
+      if (rating !== GRADE_RATING.good) return;
+      growth.push(model.next(state, rating, elapsedDays).stability / state.stability);
+    });
+  }
+  const initialEase = clamp(quantile(growth, 0.5) ?? 2.5, 1.3, 5);
+  const minEase = clamp(quantile(growth, 0.1) ?? 1.3, 1.3, initialEase);
+  return {
+    initialEase: Number(initialEase.toFixed(2)),
+    minEase: Number(minEase.toFixed(2)),
+  };
+};
+
+// Mean probability of recalling each graduated card at the next review the
+// scheduler would set after a "good" answer today, judged by the fitted model.
+export const expectedRetention = (scheduler, cards, model, now = Date.now()) => {
+  let total = 0;
+  let count = 0;
+  for (const { record, memory } of cards) {
+    if (!memory?.state || record.state !== "review") continue;
+    const elapsedDays = Math.max(0, (now - memory.lastAt) / DAY_MS);
+    const afterGood = model.next(memory.state, GRADE_RATING.good, elapsedDays);
+    const { intervalDays } = scheduler.schedule(record, "good", { now });
+    total += retrievability(intervalDays, afterGood.stability);
+    count += 1;
+  }
+  return count ? total / count : null;
+};
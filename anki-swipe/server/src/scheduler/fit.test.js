@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DEFAULT_WEIGHTS, createMemoryModel, retrievability } from "./fsrs.js";
+import { buildHistories, countReviews, fitWeights, logLoss } from "./fit.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEW_DAYS = [1, 3, 7, 15, 30];
+
+// A small seeded generator so the synthetic learner answers the same way on
+// every run.
+const seeded = (seed) => () => {
+  seed = (seed * 1_103_515_245 + 12_345) % 2_147_483_648;
+  return seed / 2_147_483_648;
+};
+
+// Histories of a learner who forgets much faster than the default weights
+// expect, reviewed on a fixed schedule.
+const forgetfulHistories = (cards) => {
+  const random = seeded(7);
+  const model = createMemoryModel(DEFAULT_WEIGHTS.map((w, i) => (i < 4 ? w / 4 : w)));
+  const histories = [];
+  for (let card = 0; card < cards; card += 1) {
+    let state = model.init(3);
+    let lastDay = 0;
+    const history = [{ rating: 3, at: 0 }];
+    for (const day of REVIEW_DAYS) {
+      const elapsedDays = day - lastDay;
+      const rating = random() < retrievability(elapsedDays, state.stability) ? 3 : 1;
+      history.push({ rating, at: day * DAY_MS });
+      state = model.next(state, rating, elapsedDays);
+      lastDay = day;
+    }
+    histories.push(history);
+  }
+  return histories;
+};
+
+test("fitting a synthetic history lowers the log loss", () => {
+  const histories = forgetfulHistories(40);
+  const before = logLoss(DEFAULT_WEIGHTS, histories);
+  const { weights, loss } = fitWeights(histories, { rounds: 10 });
+  assert.equal(weights.length, DEFAULT_WEIGHTS.length);
+  assert.ok(loss < before * 0.95, `${before} -> ${loss}`);
+  assert.ok(Math.abs(logLoss(weights, histories) - loss) < 1e-3);
+  // The learner forgets faster, so the fitted first-Good stability drops.
+  assert.ok(weights[2] < DEFAULT_WEIGHTS[2]);
+});
+
+test("histories group logs by card and direction and skip same-day repeats", () => {
+  const at = (hours) => new Date(Date.UTC(2026, 0, 1) + hours * 60 * 60 * 1000);
+  const histories = buildHistories([
+    { cardId: "n5-日", grade: "good", reviewedAt: at(48) },
+    { cardId: "n5-日", grade: "again", reviewedAt: at(0) },
+    { cardId: "n5-日", grade: "good", reviewedAt: at(1) },
+    { cardId: "n5-日", template: "reverse", grade: "good", reviewedAt: at(0) },
+  ]);
+  assert.deepEqual([...histories.keys()], ["n5-日:forward", "n5-日:reverse"]);
+  assert.deepEqual(histories.get("n5-日:forward").map((review) => review.rating), [1, 3, 3]);
+  // The review an hour after the first answer is a learning step.
+  assert.equal(countReviews([...histories.values()]), 1);
+});
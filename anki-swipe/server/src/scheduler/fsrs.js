@@ -0,0 +1,132 @@
+// FSRS-4.5 (https://github.com/open-spaced-repetition/fsrs4anki/wiki/The-Algorithm).
+// Stability is in days; difficulty runs from 1 (easy) to 10 (hard).
+
+export const DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL_DAYS = 36500;
+export const GRADE_RATING = { again: 1, hard: 2, good: 3, easy: 4 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const retrievability = (elapsedDays, stability) =>
+  Math.pow(1 + (FACTOR * elapsedDays) / stability, DECAY);
+
+export const createMemoryModel = (w = DEFAULT_WEIGHTS) => {
+  const initialDifficulty = (rating) => clamp(w[4] - (rating - 3) * w[5], 1, 10);
+
+  const nextDifficulty = (difficulty, rating) => {
+    const next = difficulty - w[6] * (rating - 3);
+    return clamp(w[7] * initialDifficulty(3) + (1 - w[7]) * next, 1, 10);
+  };
+
+  const recallStability = (difficulty, stability, r, rating) => {
+    const hardPenalty = rating === 2 ? w[15] : 1;
+    const easyBonus = rating === 4 ? w[16] : 1;
+    return (
+      stability *
+      (Math.exp(w[8]) *
+        (11 - difficulty) *
+        Math.pow(stability, -w[9]) *
+        (Math.exp(w[10] * (1 - r)) - 1) *
+        hardPenalty *
+        easyBonus +
+        1)
+    );
+  };
+
+  const forgetStability = (difficulty, stability, r) =>
+    w[11] *
+    Math.pow(difficulty, -w[12]) *
+    (Math.pow(stability + 1, w[13]) - 1) *
+    Math.exp(w[14] * (1 - r));
+
+  return {
+    init: (rating) => ({
+      stability: Math.max(0.1, w[rating - 1]),
+      difficulty: initialDifficulty(rating),
+    }),
+    next: ({ stability, difficulty }, rating, elapsedDays) => {
+      const r = retrievability(elapsedDays, stability);
+      return {
+        stability:
+          rating === 1
+            ? Math.min(forgetStability(difficulty, stability, r), stability)
+            : recallStability(difficulty, stability, r, rating),
+        difficulty: nextDifficulty(difficulty, rating),
+      };
+    },
+  };
+};
+
+export const intervalFor = (stability, desiredRetention) => {
+  const days = (stability / FACTOR) * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL_DAYS);
+};
+
+// SM-2 ease lives on 1.3..~3.7; map it onto FSRS difficulty and back so cards
+// can move between schedulers without losing their progress.
+export const difficultyFromEase = (ease) => clamp(10 - (ease - 1.3) * (5 / 1.2), 1, 10);
+
+export const easeFromDifficulty = (difficulty) =>
+  Math.max(1.3, 1.3 + ((10 - difficulty) * 1.2) / 5);
+
+export const deriveMemoryState = (record) => {
+  if (record.stability != null && record.difficulty != null) {
+    return { stability: record.stability, difficulty: record.difficulty };
+  }
+  if (!record.reps && !record.lapses) return null;
+  return {
+    stability: Math.max(record.intervalDays ?? 0, 1),
+    difficulty: difficultyFromEase(record.ease ?? 2.5),
+  };
+};
+
+export const createFsrs = ({
+  weights = DEFAULT_WEIGHTS,
+  desiredRetention = 0.9,
+} = {}) => {
+  const model = createMemoryModel(weights);
+
+  return {
+    id: "fsrs",
+    schedule(record, grade, { now = Date.now() } = {}) {
+      const rating = GRADE_RATING[grade] ?? GRADE_RATING.good;
+      const memory = deriveMemoryState(record);
+      let reps = record.reps ?? 0;
+      let lapses = record.lapses ?? 0;
+      let next;
+
+      if (!memory) {
+        next = model.init(rating);
+      } else {
+        const lastReviewedAt = record.lastReviewedAt
+          ? new Date(record.lastReviewedAt).getTime()
+          : now;
+        const elapsedDays = Math.max(0, (now - lastReviewedAt) / DAY_MS);
+        next = model.next(memory, rating, elapsedDays);
+      }
+
+      if (rating === 1) {
+        lapses += 1;
+        reps = 0;
+      } else {
+        reps += 1;
+      }
+
+      return {
+        intervalDays: intervalFor(next.stability, desiredRetention),
+        ease: easeFromDifficulty(next.difficulty),
+        reps,
+        lapses,
+        stability: next.stability,
+        difficulty: next.difficulty,
+      };
+    },
+  };
+};
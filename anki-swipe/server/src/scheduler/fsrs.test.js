@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createFsrs, DEFAULT_WEIGHTS, GRADE_RATING, retrievability } from "./fsrs.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const fsrs = createFsrs();
+const start = Date.UTC(2026, 0, 1);
+
+// Answers each grade on the day the previous answer made the card due.
+const answer = (grades) => {
+  let record = {};
+  let now = start;
+  for (const grade of grades) {
+    record = { ...record, ...fsrs.schedule(record, grade, { now }), lastReviewedAt: new Date(now) };
+    now += record.intervalDays * DAY_MS;
+  }
+  return record;
+};
+
+test("the first answer sets stability from the weights and difficulty by grade", () => {
+  const first = Object.keys(GRADE_RATING).map((grade) => fsrs.schedule({}, grade, { now: start }));
+  assert.deepEqual(first.map((next) => next.stability), DEFAULT_WEIGHTS.slice(0, 4));
+  const difficulties = first.map((next) => next.difficulty);
+  assert.deepEqual([...difficulties].sort((a, b) => b - a), difficulties);
+  assert.equal(difficulties[2], DEFAULT_WEIGHTS[4]);
+});
+
+test("intervals grow on every Good answered on time", () => {
+  const intervals = [1, 2, 3, 4, 5].map(
+    (count) => answer(Array(count).fill("good")).intervalDays
+  );
+  for (let i = 1; i < intervals.length; i += 1) {
+    assert.ok(intervals[i] > intervals[i - 1], `${intervals}`);
+  }
+});
+
+test("recall at 90% retention lands on the interval FSRS is aiming for", () => {
+  const card = answer(["good", "good", "good"]);
+  assert.ok(Math.abs(retrievability(card.intervalDays, card.stability) - 0.9) < 0.02);
+});
+
+test("a lapse cuts stability, raises difficulty and counts the lapse", () => {
+  const before = answer(["good", "good", "good"]);
+  const lapsed = answer(["good", "good", "good", "again"]);
+  assert.ok(lapsed.stability < before.stability);
+  assert.ok(lapsed.difficulty > before.difficulty);
+  assert.deepEqual([lapsed.reps, lapsed.lapses], [0, 1]);
+  assert.ok(lapsed.intervalDays < before.intervalDays);
+});
+
+test("cards reviewed under SM-2 continue from their interval and ease", () => {
+  const next = fsrs.schedule(
+    { reps: 4, lapses: 0, intervalDays: 20, ease: 2.5, lastReviewedAt: new Date(start) },
+    "good",
+    { now: start + 20 * DAY_MS }
+  );
+  assert.ok(next.intervalDays > 20);
+});
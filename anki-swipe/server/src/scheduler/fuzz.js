@@ -0,0 +1,37 @@
+// Anki-style fuzz: the longer the interval, the wider the window in days but
+// the smaller it is relative to the interval. Short intervals are left alone.
+const FUZZ_RANGES = [
+  { start: 2.5, end: 7, factor: 0.15 },
+  { start: 7, end: 20, factor: 0.1 },
+  { start: 20, end: Infinity, factor: 0.05 },
+];
+
+export const MIN_FUZZ_INTERVAL = 3;
+
+export const fuzzRange = (intervalDays) => {
+  if (intervalDays < MIN_FUZZ_INTERVAL) return [intervalDays, intervalDays];
+  let delta = 1;
+  for (const range of FUZZ_RANGES) {
+    delta += range.factor * Math.max(Math.min(intervalDays, range.end) - range.start, 0);
+  }
+  const min = Math.max(2, Math.round(intervalDays - delta));
+  const max = Math.round(intervalDays + delta);
+  return [min, Math.max(min, max)];
+};
+
+// Picks the day in [min, max] with the fewest cards already due, choosing at
+// random between equally loaded days so a batch of cards still spreads out.
+export const pickBalancedInterval = ([min, max], loadFor, random = Math.random) => {
+  let best = [];
+  let bestLoad = Infinity;
+  for (let days = min; days <= max; days += 1) {
+    const load = loadFor(days);
+    if (load < bestLoad) {
+      best = [days];
+      bestLoad = load;
+    } else if (load === bestLoad) {
+      best.push(days);
+    }
+  }
+  return best[Math.floor(random() * best.length)] ?? min;
+};
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { fuzzRange, MIN_FUZZ_INTERVAL, pickBalancedInterval } from "./fuzz.js";
+
+test("intervals below the minimum are not fuzzed", () => {
+  for (let days = 0; days < MIN_FUZZ_INTERVAL; days += 1) {
+    assert.deepEqual(fuzzRange(days), [days, days]);
+  }
+});
+
+test("the fuzz window contains the interval and narrows relative to it", () => {
+  const cases = [
+    [3, [2, 4]],
+    [10, [8, 12]],
+    [100, [93, 107]],
+  ];
+  for (const [days, range] of cases) assert.deepEqual(fuzzRange(days), range, `${days}`);
+
+  for (let days = MIN_FUZZ_INTERVAL; days <= 365; days += 1) {
+    const [min, max] = fuzzRange(days);
+    assert.ok(min >= 2 && min <= days && days <= max, `${days}: ${min}..${max}`);
+    const spread = Math.round(1 + days * (days < 100 ? 0.15 : 0.1));
+    assert.ok(max - days <= spread && days - min <= spread, `${days}: ${min}..${max}`);
+  }
+});
+
+test("the balancer picks the least loaded day inside the window", () => {
+  const load = { 8: 5, 9: 3, 10: 1, 11: 4, 12: 6, 13: 0 };
+  const picked = pickBalancedInterval([8, 12], (days) => load[days], () => 0.99);
+  assert.equal(picked, 10);
+});
+
+test("equally loaded days are chosen between at random", () => {
+  const load = { 8: 2, 9: 1, 10: 4, 11: 1 };
+  const pick = (random) => pickBalancedInterval([8, 11], (days) => load[days], () => random);
+  assert.equal(pick(0), 9);
+  assert.equal(pick(0.99), 11);
+});
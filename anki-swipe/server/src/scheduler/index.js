@@ -0,0 +1,24 @@
+import { createSm2 } from "./sm2.js";
+import { createFsrs } from "./fsrs.js";
+
+const SCHEDULERS = {
+  sm2: (params = {}) => createSm2(params),
+  fsrs: (params = {}) =>
+    createFsrs({
+      desiredRetention: Number(process.env.FSRS_DESIRED_RETENTION || 0.9),
+      ...params,
+    }),
+};
+
+export const SCHEDULER_IDS = Object.keys(SCHEDULERS);
+export const ACTIVE_SCHEDULER = process.env.SCHEDULER || "sm2";
+
+export const getScheduler = (name = "sm2", params) => {
+  const factory = SCHEDULERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown scheduler "${name}". Expected one of: ${SCHEDULER_IDS.join(", ")}.`
+    );
+  }
+  return factory(params ?? undefined);
+};
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { getScheduler, SCHEDULER_IDS } from "./index.js";
+
+test("getScheduler returns the scheduler named by id and rejects unknown ones", () => {
+  assert.deepEqual(SCHEDULER_IDS, ["sm2", "fsrs"]);
+  assert.equal(getScheduler().id, "sm2");
+  assert.equal(getScheduler("fsrs").id, "fsrs");
+  assert.throws(() => getScheduler("anki"), /Unknown scheduler "anki"/);
+});
+
+test("SCHEDULER picks the active scheduler, SM-2 when unset", async () => {
+  const previous = process.env.SCHEDULER;
+  try {
+    delete process.env.SCHEDULER;
+    assert.equal((await import("./index.js?unset")).ACTIVE_SCHEDULER, "sm2");
+    process.env.SCHEDULER = "fsrs";
+    assert.equal((await import("./index.js?fsrs")).ACTIVE_SCHEDULER, "fsrs");
+  } finally {
+    if (previous === undefined) delete process.env.SCHEDULER;
+    else process.env.SCHEDULER = previous;
+  }
+});
+
+test("saved parameters reach the scheduler", () => {
+  const record = { reps: 3, ease: 2, intervalDays: 10 };
+  const strict = getScheduler("sm2", { minEase: 2 }).schedule(record, "again");
+  assert.equal(strict.ease, 2);
+  const fsrs = getScheduler("fsrs", { desiredRetention: 0.8 }).schedule({}, "good");
+  assert.ok(fsrs.intervalDays > getScheduler("fsrs").schedule({}, "good").intervalDays);
+});
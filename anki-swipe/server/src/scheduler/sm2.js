@@ -0,0 +1,38 @@
+export const DEFAULT_SM2_PARAMS = { initialEase: 2.5, minEase: 1.3 };
+
+const GRADE_QUALITY = { again: 2, hard: 3, good: 4, easy: 5 };
+
+const getQuality = (grade) => GRADE_QUALITY[grade] ?? GRADE_QUALITY.good;
+
+export const createSm2 = ({
+  initialEase = DEFAULT_SM2_PARAMS.initialEase,
+  minEase = DEFAULT_SM2_PARAMS.minEase,
+} = {}) => ({
+  id: "sm2",
+  schedule(record, grade) {
+    const isNew = !record.reps && !record.lapses;
+    let ease = isNew ? initialEase : record.ease ?? initialEase;
+    let intervalDays = record.intervalDays ?? 0;
+    let reps = record.reps ?? 0;
+    let lapses = record.lapses ?? 0;
+    const q = getQuality(grade);
+
+    if (q < 3) {
+      lapses += 1;
+      reps = 0;
+      intervalDays = 1;
+      ease = Math.max(minEase, ease - 0.2);
+    } else {
+      reps += 1;
+      if (reps === 1) intervalDays = 1;
+      else if (reps === 2) intervalDays = 6;
+      else intervalDays = Math.max(1, Math.round(intervalDays * ease));
+      ease = ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+      if (ease < minEase) ease = minEase;
+    }
+
+    // FSRS memory state goes stale under SM-2; clearing it lets FSRS re-derive
+    // it from the interval and ease if the scheduler is switched back.
+    return { intervalDays, ease, reps, lapses, stability: null, difficulty: null };
+  },
+});
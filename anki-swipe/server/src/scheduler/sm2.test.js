@@ -0,0 +1,37 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSm2, DEFAULT_SM2_PARAMS } from "./sm2.js";
+
+const sm2 = createSm2();
+
+const answer = (grades, record = {}) =>
+  grades.reduce((current, grade) => ({ ...current, ...sm2.schedule(current, grade) }), record);
+
+test("a new card starts at the initial ease and grows 1, 6, then by its ease on Good", () => {
+  const first = answer(["good"]);
+  assert.deepEqual(
+    [first.intervalDays, first.reps, first.ease],
+    [1, 1, DEFAULT_SM2_PARAMS.initialEase]
+  );
+  assert.equal(answer(["good", "good"]).intervalDays, 6);
+  const third = answer(["good", "good", "good"]);
+  assert.equal(third.intervalDays, Math.round(6 * 2.5));
+});
+
+test("Easy raises the ease and Hard lowers it", () => {
+  assert.equal(answer(["easy"]).ease, 2.6);
+  assert.equal(answer(["hard"]).ease, 2.36);
+});
+
+test("a lapse resets the interval and repetitions and costs ease down to the floor", () => {
+  const lapsed = answer(["again"], { intervalDays: 30, ease: 2.5, reps: 5, lapses: 1 });
+  assert.deepEqual([lapsed.intervalDays, lapsed.reps, lapsed.lapses, lapsed.ease], [1, 0, 2, 2.3]);
+  const floored = answer(["again"], { intervalDays: 3, ease: 1.4, reps: 2, lapses: 4 });
+  assert.equal(floored.ease, DEFAULT_SM2_PARAMS.minEase);
+});
+
+test("SM-2 clears the FSRS memory state", () => {
+  const record = { reps: 3, ease: 2.5, intervalDays: 10, stability: 12, difficulty: 5 };
+  const next = sm2.schedule(record, "good");
+  assert.deepEqual([next.stability, next.difficulty], [null, null]);
+});
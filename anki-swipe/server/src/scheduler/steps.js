@@ -0,0 +1,72 @@
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const REVIEW_STATES = ["new", "learning", "review", "relearning"];
+
+const carryOver = (record) => ({
+  intervalDays: record.intervalDays ?? 0,
+  ease: record.ease ?? 2.5,
+  reps: record.reps ?? 0,
+  lapses: record.lapses ?? 0,
+  stability: record.stability ?? null,
+  difficulty: record.difficulty ?? null,
+});
+
+const nextStepIndex = (grade, step) => {
+  if (grade === "again") return 0;
+  if (grade === "hard") return step;
+  if (grade === "good") return step + 1;
+  return Infinity;
+};
+
+// Wraps a day-based scheduler with minute-level learning steps for new cards
+// and relearning steps for lapses. The scheduler only sees a card when it
+// graduates from learning or is answered in the review state.
+export const scheduleWithSteps = (
+  scheduler,
+  record,
+  grade,
+  {
+    now = Date.now(),
+    learningSteps = [],
+    relearningSteps = [],
+    dueInDays = (days) => new Date(now + days * DAY_MS),
+  } = {}
+) => {
+  const state = record.state ?? "review";
+  const step = state === "new" ? 0 : record.learningStep ?? 0;
+  const inStep = (fields, steps, index, nextState) => ({
+    ...fields,
+    state: nextState,
+    learningStep: index,
+    dueAt: new Date(now + steps[index] * MINUTE_MS),
+  });
+  const toReview = (fields) => ({
+    ...fields,
+    state: "review",
+    learningStep: 0,
+    dueAt: dueInDays(fields.intervalDays),
+  });
+
+  if (state === "new" || state === "learning") {
+    const index = nextStepIndex(grade, step);
+    if (index < learningSteps.length) {
+      return inStep(carryOver(record), learningSteps, index, "learning");
+    }
+    return toReview(scheduler.schedule(record, grade, { now }));
+  }
+
+  if (state === "relearning") {
+    const index = nextStepIndex(grade, step);
+    if (index < relearningSteps.length) {
+      return inStep(carryOver(record), relearningSteps, index, "relearning");
+    }
+    return toReview(carryOver(record));
+  }
+
+  const scheduled = scheduler.schedule(record, grade, { now });
+  if (grade === "again" && relearningSteps.length) {
+    return inStep(scheduled, relearningSteps, 0, "relearning");
+  }
+  return toReview(scheduled);
+};
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createSm2 } from "./sm2.js";
+import { scheduleWithSteps } from "./steps.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const now = Date.UTC(2026, 0, 1, 12);
+const options = { now, learningSteps: [1, 10], relearningSteps: [10] };
+const sm2 = createSm2();
+
+const answer = (record, grade) => ({
+  ...record,
+  ...scheduleWithSteps(sm2, record, grade, options),
+});
+const minutesUntil = (record) => (record.dueAt.getTime() - now) / MINUTE_MS;
+
+test("a new card walks through the learning steps on Good", () => {
+  const first = answer({ state: "new" }, "good");
+  assert.deepEqual([first.state, first.learningStep, minutesUntil(first)], ["learning", 1, 10]);
+});
+
+test("Hard repeats the step and Again goes back to the first one", () => {
+  const learning = { state: "learning", learningStep: 1 };
+  const hard = answer(learning, "hard");
+  assert.deepEqual([hard.learningStep, minutesUntil(hard)], [1, 10]);
+  const again = answer(learning, "again");
+  assert.deepEqual([again.state, again.learningStep, minutesUntil(again)], ["learning", 0, 1]);
+});
+
+test("passing the last step graduates to review and Easy skips the steps", () => {
+  const graduated = answer({ state: "learning", learningStep: 1 }, "good");
+  assert.deepEqual(
+    [graduated.state, graduated.learningStep, graduated.intervalDays],
+    ["review", 0, 1]
+  );
+  assert.equal(graduated.dueAt.getTime(), now + DAY_MS);
+  assert.equal(answer({ state: "new" }, "easy").state, "review");
+});
+
+test("a lapse goes through the relearning steps and back to review", () => {
+  const review = { state: "review", intervalDays: 20, ease: 2.5, reps: 4, lapses: 0 };
+  const lapsed = answer(review, "again");
+  assert.deepEqual(
+    [lapsed.state, lapsed.learningStep, minutesUntil(lapsed), lapsed.lapses, lapsed.intervalDays],
+    ["relearning", 0, 10, 1, 1]
+  );
+  const relearned = answer(lapsed, "good");
+  assert.deepEqual([relearned.state, relearned.lapses, relearned.intervalDays], ["review", 1, 1]);
+});
+
+test("without relearning steps a lapse stays in review", () => {
+  const review = { state: "review", intervalDays: 20, ease: 2.5, reps: 4, lapses: 0 };
+  const lapsed = scheduleWithSteps(sm2, review, "again", { now, relearningSteps: [] });
+  assert.deepEqual([lapsed.state, lapsed.intervalDays], ["review", 1]);
+});
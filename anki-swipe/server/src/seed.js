@@ -1,5 +1,10 @@
 import { PrismaClient } from "@prisma/client";
 import { DECKS } from "../../src/data/japanese.js";
+import { STROKES } from "../../src/data/strokes.js";
+import { KANJI_COMPONENTS } from "../../src/data/components.js";
+import { saveComponents } from "./components.js";
+import { CONFUSABLE_PAIRS } from "../../src/data/confusables.js";
+import { saveConfusablePairs } from "./confusables.js";
 
 const prisma = new PrismaClient();
 
@@ -56,6 +61,7 @@ const seed = async () => {
             kunyomi: card.kunyomi ?? null,
             level: deck.id === "kanji" ? group.id : null,
             order: resolvedOrder,
+            strokes: deck.id === "kanji" ? STROKES[card.script] : undefined,
           },
         });
 
@@ -78,6 +84,9 @@ const seed = async () => {
     }
   }
 
+  await saveComponents(prisma, KANJI_COMPONENTS);
+  await saveConfusablePairs(prisma, CONFUSABLE_PAIRS);
+
   await prisma.learningProgress.create({
     data: {
       id: "default",
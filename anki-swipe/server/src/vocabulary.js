@@ -0,0 +1,256 @@
+import { readingFromRomaji } from "../../src/lib/kana.js";
+
+export const VOCAB_DECK_ID = "vocab";
+
+const LEVEL_ORDER = ["N5", "N4", "N3", "N2", "N1"];
+const HAN = /\p{Script=Han}/u;
+const ALL_HAN = /^\p{Script=Han}+$/u;
+
+// Example breakdowns give words as they appear in the sentence (飲みます,
+// 住んでいます, 強いです). Cards are filed under the dictionary form instead, and
+// glosses rank by how closely the form they came from matches it: the bare
+// word first, then a polite or adjectival form, then anything else.
+const GLOSS_RANK = { exact: 0, close: 1, loose: 2 };
+
+const I_TO_U = { い: "う", き: "く", ぎ: "ぐ", し: "す", ち: "つ", に: "ぬ", び: "ぶ", み: "む", り: "る" };
+const E_ROW = new Set("えけげせぜてでねべぺめれ");
+const GODAN_ROMAJI = { う: "u", く: "ku", ぐ: "gu", す: "su", つ: "tsu", ぬ: "nu", ぶ: "bu", む: "mu", る: "ru" };
+const STEM_ROMAJI = { う: "i", く: "ki", ぐ: "gi", す: "shi", つ: "chi", ぬ: "ni", ぶ: "bi", む: "mi", る: "ri" };
+
+const verbGloss = (meaning) => {
+  const gloss = meaning.replace(/^(please|let's)\s+/i, "");
+  return /^to\s/i.test(gloss) ? gloss : `to ${gloss}`;
+};
+const sameGloss = (meaning) => meaning;
+
+const POLITE_ENDINGS = [
+  { jp: "ましょう", romaji: /mash(?:ou|ō)$/i, rank: GLOSS_RANK.close, gloss: verbGloss },
+  { jp: "ました", romaji: /mashita$/i, rank: GLOSS_RANK.loose, gloss: sameGloss },
+  { jp: "ません", romaji: /masen$/i, rank: GLOSS_RANK.loose, gloss: sameGloss },
+  { jp: "ます", romaji: /masu$/i, rank: GLOSS_RANK.close, gloss: verbGloss },
+];
+// A bare te-form is only taken for one when the gloss says so, since words
+// like 初めて end the same way.
+const TE_AUXILIARIES = [
+  { jp: "ください", romaji: /[\s-]*kudasai$/i, rank: GLOSS_RANK.close, gloss: verbGloss },
+  { jp: "います", romaji: /[\s-]*imasu$/i, rank: GLOSS_RANK.loose, gloss: sameGloss },
+  { jp: "いる", romaji: /[\s-]*iru$/i, rank: GLOSS_RANK.loose, gloss: sameGloss },
+  { jp: "", romaji: /$/, rank: GLOSS_RANK.close, gloss: verbGloss, marked: true },
+];
+const TE_ENDINGS = [
+  { jp: "て", romaji: /te$/i },
+  { jp: "で", romaji: /de$/i, voiced: true },
+];
+// 運動します and 運動する are both filed as the noun 運動. A single kanji before
+// します is a verb of its own (話します is 話す).
+const SURU_ENDINGS = [
+  { jp: "します", romaji: /[\s-]*shimasu$/i },
+  { jp: "して", romaji: /[\s-]*shite$/i },
+  { jp: "する", romaji: /[\s-]*suru$/i },
+];
+
+// The okurigana the deck's kun readings allow after the kanji a stem ends on,
+// minus what the stem already has: ["る"] for 起き (お.きる).
+const kunEndings = (stem, byScript) => {
+  const chars = [...stem];
+  let start = chars.length;
+  while (start > 0 && !HAN.test(chars[start - 1])) start -= 1;
+  const kunyomi = start ? byScript.get(chars[start - 1])?.kunyomi : null;
+  const okurigana = chars.slice(start).join("");
+  return String(kunyomi ?? "")
+    .split(/[,、\s]+/)
+    .map((reading) => reading.split(".")[1])
+    .filter((ending) => ending?.startsWith(okurigana))
+    .map((ending) => ending.slice(okurigana.length));
+};
+
+const ichidan = (stem, romaji) => ({ jp: `${stem}る`, romaji: `${romaji}ru` });
+
+const godan = (stem, romaji, ending, romajiTail) => ({
+  jp: `${stem}${ending}`,
+  romaji: romaji.replace(romajiTail, GODAN_ROMAJI[ending]),
+});
+
+// 飲み → 飲む, 食べ → 食べる, 起き → 起きる (from its kun reading), 来 → 来る.
+const fromMasuStem = (stem, romaji, byScript) => {
+  const last = stem.at(-1);
+  if (last === "来") return { jp: `${stem}る`, romaji: romaji.replace(/ki$/i, "kuru") };
+  if (!I_TO_U[last] || last === "じ" || kunEndings(stem, byScript).includes("る")) {
+    return ichidan(stem, romaji);
+  }
+  const ending = I_TO_U[last];
+  return godan(stem.slice(0, -1), romaji, ending, new RegExp(`${STEM_ROMAJI[ending]}$`, "i"));
+};
+
+// 住んで → 住む and 残って → 残る, using the kun reading where the te-form
+// could come from more than one ending.
+const fromTeStem = (stem, romaji, voiced, byScript) => {
+  const last = stem.at(-1);
+  const base = stem.slice(0, -1);
+  const pick = (endings, fallback) =>
+    endings.find((ending) => kunEndings(base, byScript).includes(ending)) ?? fallback;
+  if (last === "っ") {
+    const ending = base.endsWith("行") ? "く" : pick(["う", "つ", "る"], "る");
+    return godan(base, romaji, ending, /t$/i);
+  }
+  if (last === "ん") return godan(base, romaji, pick(["む", "ぶ", "ぬ"], "む"), /n$/i);
+  if (last === "い") return godan(base, romaji, voiced ? "ぐ" : "く", /i$/i);
+  if (last === "し") return godan(base, romaji, "す", /shi$/i);
+  // Everything else is an ichidan stem or 来.
+  return last === "来" ? fromMasuStem(stem, romaji, byScript) : ichidan(stem, romaji);
+};
+
+const cleanGloss = (meaning) => meaning.replace(/\s*\((?:polite|te-form)\)/gi, "").trim();
+
+const withEnding = (jp, romaji, ending) =>
+  jp.endsWith(ending.jp) && ending.romaji.test(romaji)
+    ? { jp: jp.slice(0, jp.length - ending.jp.length), romaji: romaji.replace(ending.romaji, "") }
+    : null;
+
+export const dictionaryForm = ({ jp, romaji, meaning }, byScript = new Map()) => {
+  const gloss = cleanGloss(meaning);
+  for (const ending of SURU_ENDINGS) {
+    const stem = withEnding(jp, romaji, ending);
+    if (stem && stem.jp.length > 1 && ALL_HAN.test(stem.jp)) {
+      return { ...stem, meaning: gloss.replace(/^to\s+/i, ""), rank: GLOSS_RANK.close };
+    }
+  }
+  for (const auxiliary of TE_AUXILIARIES) {
+    if (auxiliary.marked && !/\(te-form\)/i.test(meaning)) continue;
+    const rest = withEnding(jp, romaji, auxiliary);
+    for (const ending of TE_ENDINGS) {
+      const te = rest && withEnding(rest.jp, rest.romaji.trim(), ending);
+      if (!te?.jp || !HAN.test(te.jp)) continue;
+      const verb = fromTeStem(te.jp, te.romaji, Boolean(ending.voiced), byScript);
+      return { ...verb, meaning: auxiliary.gloss(gloss), rank: auxiliary.rank };
+    }
+  }
+  for (const ending of POLITE_ENDINGS) {
+    const stem = withEnding(jp, romaji, ending);
+    if (stem?.jp && HAN.test(stem.jp)) {
+      const verb = fromMasuStem(stem.jp, stem.romaji.trim(), byScript);
+      return { ...verb, meaning: ending.gloss(gloss), rank: ending.rank };
+    }
+  }
+  const adjective = withEnding(jp, romaji, { jp: "です", romaji: /[\s-]*desu$/i });
+  if (adjective?.jp.endsWith("い")) {
+    return { ...adjective, meaning: gloss.replace(/^(is|are)\s+/i, ""), rank: GLOSS_RANK.close };
+  }
+  // 好きな and 次の: the particle is written apart in the romaji.
+  for (const particle of [
+    { jp: "な", romaji: /\s+na$/i },
+    { jp: "の", romaji: /\s+no$/i },
+  ]) {
+    const word = withEnding(jp, romaji, particle);
+    if (word?.jp) return { ...word, meaning: gloss, rank: GLOSS_RANK.close };
+  }
+  return { jp, romaji, meaning: gloss, rank: GLOSS_RANK.exact };
+};
+
+const hardestLevel = (kanji) =>
+  kanji
+    .map((card) => card.level ?? card.groupKey)
+    .sort((a, b) => LEVEL_ORDER.indexOf(b) - LEVEL_ORDER.indexOf(a))[0];
+
+// Collects every breakdown word that contains a kanji from the deck, keyed by
+// the word so the same word from several sentences becomes one card.
+export const collectWords = (kanjiCards) => {
+  const byScript = new Map(kanjiCards.map((card) => [card.script, card]));
+  const words = new Map();
+
+  for (const card of kanjiCards) {
+    const breakdowns = [...(card.examples ?? []).map((example) => example.breakdown)];
+    if (card.enrichment) breakdowns.push(card.enrichment.breakdown);
+
+    for (const breakdown of breakdowns) {
+      if (!Array.isArray(breakdown)) continue;
+      for (const token of breakdown) {
+        if (!token?.jp || !token.meaning) continue;
+        const { jp, romaji, meaning, rank } = dictionaryForm(
+          { jp: token.jp.trim(), romaji: (token.romaji ?? "").trim(), meaning: token.meaning },
+          byScript
+        );
+        // A lone kanji is already its own card in the kanji deck.
+        if (byScript.has(jp)) continue;
+        const kanji = [...new Set(jp)].map((char) => byScript.get(char)).filter(Boolean);
+        if (!kanji.length) continue;
+
+        const entry = words.get(jp) ?? { word: jp, romaji, meaning, rank, kanji: new Map() };
+        if (rank < entry.rank) Object.assign(entry, { romaji, meaning, rank });
+        for (const linked of kanji) entry.kanji.set(linked.id, linked);
+        words.set(jp, entry);
+      }
+    }
+  }
+
+  return [...words.values()]
+    .map((entry) => {
+      const kanji = [...entry.kanji.values()];
+      return {
+        word: entry.word,
+        romaji: entry.romaji,
+        reading: entry.romaji ? readingFromRomaji(entry.romaji) : null,
+        meaning: entry.meaning,
+        level: hardestLevel(kanji),
+        kanji,
+      };
+    })
+    .sort((a, b) => LEVEL_ORDER.indexOf(a.level) - LEVEL_ORDER.indexOf(b.level));
+};
+
+// Creates or refreshes the Vocabulary deck: one group per JLPT level, one card
+// per word, each linked to the kanji it is written with. Existing cards keep
+// their ids, so review progress survives a rebuild.
+export const buildVocabularyDeck = async (prisma) => {
+  const kanjiCards = await prisma.card.findMany({
+    where: { deckId: "kanji" },
+    include: { examples: true, enrichment: true },
+    orderBy: { order: "asc" },
+  });
+  const words = collectWords(kanjiCards);
+
+  await prisma.deck.upsert({
+    where: { id: VOCAB_DECK_ID },
+    update: {},
+    create: { id: VOCAB_DECK_ID, label: "Vocabulary" },
+  });
+
+  for (const level of new Set(words.map((entry) => entry.level))) {
+    await prisma.group.upsert({
+      where: { id: `${VOCAB_DECK_ID}-${level}` },
+      update: {},
+      create: {
+        id: `${VOCAB_DECK_ID}-${level}`,
+        key: level,
+        label: `JLPT ${level} words`,
+        deckId: VOCAB_DECK_ID,
+      },
+    });
+  }
+
+  let created = 0;
+  for (const [index, entry] of words.entries()) {
+    const id = `${VOCAB_DECK_ID}-${entry.word}`;
+    const links = entry.kanji.map((card) => ({ id: card.id }));
+    const data = {
+      deckId: VOCAB_DECK_ID,
+      groupId: `${VOCAB_DECK_ID}-${entry.level}`,
+      groupKey: entry.level,
+      script: entry.word,
+      romaji: entry.romaji || null,
+      reading: entry.reading,
+      meaning: entry.meaning,
+      level: entry.level,
+      order: index,
+    };
+    const existing = await prisma.card.findUnique({ where: { id }, select: { id: true } });
+    if (existing) {
+      await prisma.card.update({ where: { id }, data: { ...data, kanji: { set: links } } });
+    } else {
+      await prisma.card.create({ data: { id, ...data, kanji: { connect: links } } });
+      created += 1;
+    }
+  }
+
+  return { words: words.length, created, updated: words.length - created };
+};
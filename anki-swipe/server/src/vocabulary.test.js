@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { collectWords, dictionaryForm } from "./vocabulary.js";
+
+const KANJI = [
+  {
+    id: "n5-運",
+    script: "運",
+    level: "N5",
+    examples: [
+      {
+        breakdown: [
+          { jp: "運動します", romaji: "undō shimasu", meaning: "to exercise" },
+          { jp: "に", romaji: "ni", meaning: "at" },
+        ],
+      },
+    ],
+  },
+  {
+    id: "n4-動",
+    script: "動",
+    level: "N4",
+    examples: [
+      {
+        breakdown: [
+          { jp: "運動", romaji: "undō", meaning: "exercise" },
+          { jp: "動", romaji: "dō", meaning: "move" },
+        ],
+      },
+    ],
+    enrichment: {
+      breakdown: [{ jp: "自動", romaji: "ji-dō", meaning: "automatic" }],
+    },
+  },
+  {
+    id: "n5-時",
+    script: "時",
+    level: "N5",
+    examples: [{ breakdown: [{ jp: "三時", romaji: "san-ji", meaning: "three o'clock" }] }],
+  },
+];
+
+const wordsByScript = () =>
+  Object.fromEntries(collectWords(KANJI).map((entry) => [entry.word, entry]));
+
+test("collectWords files suru verbs under their noun with the noun's gloss", () => {
+  const { 運動 } = wordsByScript();
+  assert.equal(運動.romaji, "undō");
+  assert.equal(運動.reading, "うんどう");
+  assert.equal(運動.meaning, "exercise");
+  assert.deepEqual(
+    運動.kanji.map((card) => card.id),
+    ["n5-運", "n4-動"]
+  );
+});
+
+test("collectWords files a word under its hardest kanji and sorts easy levels first", () => {
+  const words = collectWords(KANJI);
+  assert.deepEqual(
+    words.map((entry) => [entry.word, entry.level]),
+    [
+      ["三時", "N5"],
+      ["運動", "N4"],
+      ["自動", "N4"],
+    ]
+  );
+});
+
+test("collectWords skips lone kanji, kana-only tokens and reads enrichment sentences", () => {
+  const words = wordsByScript();
+  assert.equal(words.動, undefined);
+  assert.equal(words.に, undefined);
+  assert.equal(words.自動.reading, "じどう");
+  assert.equal(words.三時.reading, "さんじ");
+});
+
+const BY_SCRIPT = new Map([
+  ["入", { script: "入", kunyomi: "い.る, はい.る" }],
+  ["起", { script: "起", kunyomi: "お.きる, お.こす" }],
+  ["住", { script: "住", kunyomi: "す.む" }],
+]);
+const dictionary = (jp, romaji, meaning) => {
+  const { rank, ...form } = dictionaryForm({ jp, romaji, meaning }, BY_SCRIPT);
+  return form;
+};
+
+test("dictionaryForm turns polite and te-forms back into the dictionary verb", () => {
+  assert.deepEqual(dictionary("入ります", "hairimasu", "enter"), {
+    jp: "入る",
+    romaji: "hairu",
+    meaning: "to enter",
+  });
+  assert.deepEqual(dictionary("起きます", "okimasu", "wake up (polite)"), {
+    jp: "起きる",
+    romaji: "okiru",
+    meaning: "to wake up",
+  });
+  assert.deepEqual(dictionary("住んでいます", "sunde imasu", "lives"), {
+    jp: "住む",
+    romaji: "sumu",
+    meaning: "lives",
+  });
+  assert.deepEqual(dictionary("飲みましょう", "nomimashō", "let's drink"), {
+    jp: "飲む",
+    romaji: "nomu",
+    meaning: "to drink",
+  });
+});
+
+test("dictionaryForm keeps a one-kanji stem before します as its own verb", () => {
+  assert.deepEqual(dictionary("話します", "hanashimasu", "speak"), {
+    jp: "話す",
+    romaji: "hanasu",
+    meaning: "to speak",
+  });
+  assert.deepEqual(dictionary("勉強する", "benkyō suru", "to study"), {
+    jp: "勉強",
+    romaji: "benkyō",
+    meaning: "study",
+  });
+});
+
+test("dictionaryForm drops です after adjectives and particles after nouns", () => {
+  assert.deepEqual(dictionary("強いです", "tsuyoi desu", "is strong"), {
+    jp: "強い",
+    romaji: "tsuyoi",
+    meaning: "strong",
+  });
+  assert.deepEqual(dictionary("好きな", "suki na", "favourite"), {
+    jp: "好き",
+    romaji: "suki",
+    meaning: "favourite",
+  });
+});
+
+test("collectWords keeps the gloss of the closest form of a word", () => {
+  const words = collectWords([
+    {
+      id: "n5-入",
+      script: "入",
+      level: "N5",
+      kunyomi: "い.る, はい.る",
+      examples: [
+        { breakdown: [{ jp: "入りました", romaji: "hairimashita", meaning: "entered" }] },
+        { breakdown: [{ jp: "入ります", romaji: "hairimasu", meaning: "enter" }] },
+      ],
+    },
+  ]);
+  assert.deepEqual(
+    words.map((entry) => [entry.word, entry.romaji, entry.meaning]),
+    [["入る", "hairu", "to enter"]]
+  );
+});
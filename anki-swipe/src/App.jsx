@@ -1,9 +1,44 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { DECKS as FALLBACK_DECKS } from "./data/japanese.js";
+import { DEFAULT_DAY_OPTIONS, isDueToday, isValidTimeZone } from "./lib/reviewDay.js";
+import { romajiToKana, toHiragana, toKatakana } from "./lib/kana.js";
+import { checkCloze, checkMeaning, checkReading, gradeTypedAnswer } from "./lib/typedAnswer.js";
+import { clozeFor } from "./lib/cloze.js";
+import { buildListeningQuestion, buildQuizQuestion } from "./lib/quiz.js";
+import { SPEECH_RATES, canSpeak, speak, stopSpeaking } from "./lib/speech.js";
+import { STROKE_BOX, gradeStrokeScore, scoreStrokes } from "./lib/strokes.js";
 
 const API_BASE = "http://localhost:3001/api";
 const REVIEW_INTERVALS = [1, 2, 4, 7, 14, 30];
 const JLPT_LEVELS = ["N5", "N4", "N3", "N2", "N1"];
+const GRADE_OPTIONS = [
+  { grade: "again", label: "Again", key: "1", className: "danger" },
+  { grade: "hard", label: "Hard", key: "2", className: "ghost" },
+  { grade: "good", label: "Good", key: "3", className: "success" },
+  { grade: "easy", label: "Easy", key: "4", className: "primary" },
+];
+const SWIPE_THRESHOLD = 120;
+const REVIEW_MODES = [
+  { id: "swipe", label: "Swipe" },
+  { id: "typed", label: "Typed" },
+  { id: "quiz", label: "Quiz" },
+  { id: "write", label: "Write" },
+  { id: "listen", label: "Listen" },
+  { id: "drill", label: "Look-alikes" },
+];
+const CHOICE_MODES = ["quiz", "listen"];
+const DEFAULT_CUSTOM_FILTER = {
+  deckId: "",
+  levels: [],
+  tags: [],
+  minLapses: 0,
+  lastWrong: false,
+  learnedWithinDays: 0,
+  cram: false,
+};
+const KANA_DECKS = ["hiragana", "katakana"];
+const VOCAB_DECK = "vocab";
+const QUIZ_DISTRACTORS = 3;
 
 const now = () => Date.now();
 
@@ -29,15 +64,56 @@ const fetchJSON = async (path, options) => {
 
 const mapReviewCards = (list) =>
   list.reduce((acc, item) => {
-    acc[item.cardId] = item;
+    acc[item.id] = item;
     return acc;
   }, {});
 
-const isDue = (reviewCard) =>
-  new Date(reviewCard.dueAt).getTime() <= now();
+const TEMPLATE_LABELS = {
+  forward: "Kanji → meaning",
+  reverse: "Meaning → kanji",
+  cloze: "Sentence cloze",
+};
+
+const clozeOf = (card) =>
+  card?.template === "cloze" ? clozeFor(card.example, card.script) : null;
+
+const formatPercent = (value) =>
+  value == null ? "n/a" : `${(value * 100).toFixed(1)}%`;
 
-const getDueCards = (reviewCards, deckId = null) => {
-  const cards = Object.values(reviewCards).filter(isDue);
+const STEP_UNITS = { m: 1, h: 60 };
+
+const formatSteps = (steps = []) =>
+  steps
+    .map((minutes) => (minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`))
+    .join(" ");
+
+const parseSteps = (value) => {
+  const tokens = String(value || "").trim().split(/[\s,]+/).filter(Boolean);
+  const steps = tokens.map((token) => {
+    const match = token.match(/^(\d+)([mh]?)$/i);
+    if (!match) return null;
+    return Number(match[1]) * STEP_UNITS[(match[2] || "m").toLowerCase()];
+  });
+  return steps.every((step) => step > 0) ? steps : null;
+};
+
+const isInSteps = (reviewCard) =>
+  reviewCard?.state === "learning" || reviewCard?.state === "relearning";
+
+const getDayOptions = (settings) => ({
+  timeZone: settings.timeZone,
+  dayStartHour: settings.dayStartHour,
+});
+
+const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const getDueCards = (reviewCards, deckId = null, dayOptions = DEFAULT_DAY_OPTIONS) => {
+  const cards = Object.values(reviewCards).filter(
+    (reviewCard) =>
+      !reviewCard.suspended &&
+      !(reviewCard.buriedUntil && new Date(reviewCard.buriedUntil).getTime() > now()) &&
+      isDueToday(reviewCard, dayOptions)
+  );
   if (!deckId) return cards;
   return cards.filter((card) => card.deck === deckId);
 };
@@ -53,6 +129,57 @@ const highlightKanji = (sentence, kanji) => {
   );
 };
 
+const blankKanji = (sentence, kanji) =>
+  sentence && kanji ? sentence.split(kanji).join("＿") : sentence || "";
+
+const ClozeSentence = ({ cloze, revealed = false }) => (
+  <div className="card-cloze">
+    <div>
+      {cloze.before}
+      {revealed ? <span className="kanji-highlight">{cloze.word}</span> : "＿＿"}
+      {cloze.after}
+    </div>
+    <div className="card-cloze-translation">{cloze.translation}</div>
+  </div>
+);
+
+const ClozeAnswer = ({ cloze }) => (
+  <>
+    <div className="detail">
+      {cloze.word} · {cloze.reading}
+    </div>
+    <div className="detail">{cloze.meaning}</div>
+  </>
+);
+
+const SpeakButtons = ({ text }) => {
+  if (!canSpeak() || !text) return null;
+
+  const onSpeak = (event, rate) => {
+    event.stopPropagation();
+    speak(text, { rate });
+  };
+
+  return (
+    <span className="speak-buttons">
+      <button className="ghost" onClick={(event) => onSpeak(event, SPEECH_RATES.normal)}>
+        ▶ Play
+      </button>
+      <button className="ghost" onClick={(event) => onSpeak(event, SPEECH_RATES.slow)}>
+        Slow
+      </button>
+    </span>
+  );
+};
+
+// Readings as speakable kana: okurigana dots and affix dashes removed.
+const spokenReadings = (card) =>
+  [card.onyomi, card.kunyomi]
+    .filter(Boolean)
+    .join("、")
+    .replace(/[.\-]/g, "")
+    .replace(/,\s*/g, "、");
+
 const ExampleSentence = ({ example, kanji }) => {
   if (!example) return null;
 
@@ -64,6 +191,7 @@ const ExampleSentence = ({ example, kanji }) => {
           __html: highlightKanji(example.sentence, kanji),
         }}
       />
+      <SpeakButtons text={example.reading} />
       <div className="example-reading">
         <div className="label">Reading</div>
         <div>{example.reading}</div>
@@ -109,6 +237,175 @@ const splitRomaji = (romaji) => {
   return { on, kun };
 };
 
+const STROKE_ANIMATION_MS = 600;
+
+const StrokePad = ({ strokes, onCheck, guide = false }) => {
+  const canvasRef = useRef(null);
+  const activeStroke = useRef(null);
+  const [drawn, setDrawn] = useState([]);
+  const [replay, setReplay] = useState(guide ? 1 : 0);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const context = canvas.getContext("2d");
+    const scale = canvas.width / STROKE_BOX;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.lineWidth = 4 * scale;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    context.strokeStyle = "#fff";
+    for (const points of drawn) {
+      context.beginPath();
+      points.forEach((point, index) => {
+        if (index === 0) context.moveTo(point.x * scale, point.y * scale);
+        else context.lineTo(point.x * scale, point.y * scale);
+      });
+      context.stroke();
+    }
+  }, [drawn]);
+
+  const toBoxPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * STROKE_BOX,
+      y: ((event.clientY - rect.top) / rect.height) * STROKE_BOX,
+    };
+  };
+
+  const onPointerDown = (event) => {
+    if (result) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    activeStroke.current = [toBoxPoint(event)];
+    setDrawn((prev) => [...prev, activeStroke.current]);
+  };
+
+  const onPointerMove = (event) => {
+    if (!activeStroke.current) return;
+    activeStroke.current = [...activeStroke.current, toBoxPoint(event)];
+    setDrawn((prev) => [...prev.slice(0, -1), activeStroke.current]);
+  };
+
+  const onPointerUp = () => {
+    activeStroke.current = null;
+  };
+
+  const onClear = () => {
+    setDrawn([]);
+    setResult(null);
+  };
+
+  const check = () => {
+    const scored = scoreStrokes(drawn, strokes);
+    setResult(scored);
+    onCheck?.(scored);
+  };
+
+  const countOf = (key) => result?.strokes.filter((stroke) => stroke[key]).length ?? 0;
+
+  return (
+    <div className="stroke-practice">
+      <div className="stroke-pad">
+        <canvas
+          ref={canvasRef}
+          width={327}
+          height={327}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={onPointerUp}
+        />
+        {(replay > 0 || result) && (
+          <svg key={replay} className="stroke-guide" viewBox={`0 0 ${STROKE_BOX} ${STROKE_BOX}`}>
+            {strokes.map((path, index) => (
+              <path
+                key={`${index}-${path}`}
+                d={path}
+                pathLength={1}
+                className={result ? "stroke-answer" : "stroke-animate"}
+                style={{ animationDelay: `${index * STROKE_ANIMATION_MS}ms` }}
+              />
+            ))}
+          </svg>
+        )}
+      </div>
+      {result && (
+        <div className="stroke-result">
+          <span>Score {Math.round(result.score * 100)}%</span>
+          <span>
+            Strokes {result.drawnCount}/{result.expected}
+          </span>
+          <span>
+            Order {countOf("order")}/{result.expected}
+          </span>
+          <span>
+            Direction {countOf("direction")}/{result.expected}
+          </span>
+        </div>
+      )}
+      <div className="card-actions">
+        <button className="ghost" onClick={() => setReplay((prev) => prev + 1)}>
+          Show order
+        </button>
+        <button
+          className="ghost"
+          onClick={() => setDrawn((prev) => prev.slice(0, -1))}
+          disabled={!drawn.length || Boolean(result)}
+        >
+          Undo stroke
+        </button>
+        <button className="ghost" onClick={onClear}>
+          Clear
+        </button>
+        <button className="primary" onClick={check} disabled={!drawn.length || Boolean(result)}>
+          Check
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const StrokePractice = ({ card }) => {
+  const [open, setOpen] = useState(false);
+
+  if (!card?.strokes?.length) return null;
+
+  return (
+    <div className="stroke-panel">
+      <button className="ghost" onClick={() => setOpen((prev) => !prev)}>
+        {open ? "Hide writing practice" : "Practice writing"}
+      </button>
+      {open && <StrokePad key={card.id} strokes={card.strokes} guide />}
+    </div>
+  );
+};
+
+const WordKanji = ({ card }) =>
+  card?.kanji?.length ? (
+    <div className="detail">
+      {card.kanji.map((kanji) => `${kanji.script} ${kanji.meaning}`).join(" · ")}
+    </div>
+  ) : null;
+
+// A kanji that is its own only component (木, 口) has nothing to break down.
+const KanjiComponents = ({ card }) => {
+  const components = card?.components ?? [];
+  if (!components.length || (components.length === 1 && components[0].id === card.script)) {
+    return null;
+  }
+  return (
+    <div className="kanji-components">
+      {components.map((component) => (
+        <span key={component.id} className="component-chip">
+          <span className="component-glyph">{component.id}</span>
+          {component.meaning && <span>{component.meaning}</span>}
+        </span>
+      ))}
+    </div>
+  );
+};
+
 const LearnCard = ({ card, onNext }) => {
   if (!card) return null;
   const { on, kun } = splitRomaji(card.romaji);
@@ -136,15 +433,33 @@ const LearnCard = ({ card, onNext }) => {
       >
         <div className="learn-header">
           <div className="kanji-glyph">{card.script}</div>
-          <div className="kanji-meta">
-            <div className="meaning">{card.meaning}</div>
-            <div className="reading">
-              On: {card.onyomi} {on ? `(${on})` : ""}
+          {card.deck && card.deck !== "kanji" ? (
+            <div className="kanji-meta">
+              <div className="meaning">{card.romaji}</div>
+              <SpeakButtons text={card.script} />
             </div>
-            <div className="reading">
-              Kun: {card.kunyomi} {kun ? `(${kun})` : ""}
+          ) : (
+            <div className="kanji-meta">
+              <div className="meaning">{card.meaning}</div>
+              <div className="reading">
+                On: {card.onyomi} {on ? `(${on})` : ""}
+              </div>
+              <div className="reading">
+                Kun: {card.kunyomi} {kun ? `(${kun})` : ""}
+              </div>
+              <KanjiComponents card={card} />
+              {card.mnemonic && <div className="mnemonic">{card.mnemonic}</div>}
+              {card.words?.length > 0 && (
+                <div className="reading">
+                  Words:{" "}
+                  {card.words
+                    .map((word) => `${word.script} (${word.reading ?? ""}) ${word.meaning}`)
+                    .join(" · ")}
+                </div>
+              )}
+              <SpeakButtons text={spokenReadings(card)} />
             </div>
-          </div>
+          )}
         </div>
         <ExampleSentence example={card.example} kanji={card.script} />
         <button className="next-fab" onClick={handleNext} aria-label="Next kanji">
@@ -158,37 +473,93 @@ const LearnCard = ({ card, onNext }) => {
   );
 };
 
+// Keys typed into a field belong to the field, including its own undo.
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.isContentEditable);
+
 const SwipeCard = ({
   card,
   onAnswer,
   onReveal,
   answerReady,
   onSkip,
+  onUndo,
+  canUndo = false,
+  onSuspend,
+  onBury,
   reviewSettings,
+  drill = false,
 }) => {
   const startPos = useRef({ x: 0, y: 0 });
   const [offset, setOffset] = useState({ x: 0, y: 0 });
   const [dragging, setDragging] = useState(false);
+  const [picked, setPicked] = useState(null);
+  // In a drill the card sits next to one of its look-alikes and the learner
+  // picks which is which before grading.
+  const pair = useMemo(() => {
+    if (!drill || !card?.confusables?.length) return null;
+    const partner = card.confusables[Math.floor(Math.random() * card.confusables.length)];
+    return shuffleList([card, partner]);
+  }, [drill, card?.id]);
+  const confused = Boolean(pair && picked && picked.id !== card.id);
 
   useEffect(() => {
     setOffset({ x: 0, y: 0 });
+    setPicked(null);
   }, [card?.id]);
 
+  const answer = (grade) => {
+    if (!pair) {
+      onAnswer(grade);
+      return;
+    }
+    onAnswer(confused ? "again" : grade, "drill", confused ? picked.id : null);
+  };
+
+  const reveal = () => {
+    if (!pair || picked) onReveal();
+  };
+
+  const pick = (option) => {
+    if (picked) return;
+    setPicked(option);
+    onReveal();
+  };
+
+  const drillClass = (option) => {
+    if (!picked) return "";
+    if (option.id === card.id) return "correct";
+    return option === picked ? "wrong" : "";
+  };
+
   useEffect(() => {
     const handleKey = (event) => {
-      if (!card) return;
+      if (!card || isTypingTarget(event.target)) return;
+      if (onUndo && (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "z") {
+        event.preventDefault();
+        if (canUndo) onUndo?.();
+        return;
+      }
+      if (pair && !picked) {
+        const option = pair[Number(event.key) - 1];
+        if (option) pick(option);
+        return;
+      }
       if (event.key === " ") {
         event.preventDefault();
-        onReveal();
+        reveal();
       }
       if (!answerReady) return;
-      if (event.key === "ArrowRight") onAnswer(true);
-      if (event.key === "ArrowLeft") onAnswer(false);
+      const option = GRADE_OPTIONS.find((item) => item.key === event.key);
+      if (option) answer(option.grade);
+      if (event.key === "ArrowRight") answer("good");
+      if (event.key === "ArrowLeft") answer("again");
     };
 
     window.addEventListener("keydown", handleKey);
     return () => window.removeEventListener("keydown", handleKey);
-  }, [answerReady, card, onAnswer, onReveal]);
+  }, [answerReady, canUndo, card, onAnswer, onReveal, onUndo, pair, picked]);
 
   const onPointerDown = (event) => {
     if (!card) return;
@@ -211,12 +582,17 @@ const SwipeCard = ({
       setOffset({ x: 0, y: 0 });
       return;
     }
-    if (offset.x > 120) onAnswer(true);
-    else if (offset.x < -120) onAnswer(false);
+    const horizontal = Math.abs(offset.x) >= Math.abs(offset.y);
+    if (horizontal && offset.x > SWIPE_THRESHOLD) answer("good");
+    else if (horizontal && offset.x < -SWIPE_THRESHOLD) answer("again");
+    else if (!horizontal && offset.y < -SWIPE_THRESHOLD) answer("easy");
+    else if (!horizontal && offset.y > SWIPE_THRESHOLD) answer("hard");
     else setOffset({ x: 0, y: 0 });
   };
 
   const rotation = offset.x / 12;
+  const isReverse = card?.template === "reverse";
+  const cloze = pair ? null : clozeOf(card);
 
   return (
     <div className="card-shell">
@@ -231,11 +607,60 @@ const SwipeCard = ({
         onPointerLeave={onPointerUp}
       >
         <div className="card-face">
-          <div className="card-script">{card?.script}</div>
+          {pair ? (
+            <>
+              <div className="card-script card-meaning">{card.meaning ?? card.romaji}</div>
+              <div className="drill-pair">
+                {pair.map((option, index) => (
+                  <button
+                    key={option.id}
+                    className={`drill-choice ${drillClass(option)}`}
+                    onPointerDown={(event) => event.stopPropagation()}
+                    onClick={() => pick(option)}
+                    title={`Press ${index + 1}`}
+                  >
+                    {option.script}
+                  </button>
+                ))}
+              </div>
+              {confused && (
+                <div className="detail">
+                  {picked.script} is {picked.meaning ?? picked.romaji}
+                </div>
+              )}
+            </>
+          ) : cloze ? (
+            <ClozeSentence cloze={cloze} revealed={answerReady} />
+          ) : isReverse && !answerReady ? (
+            <>
+              <div className="card-script card-meaning">{card.meaning}</div>
+              {reviewSettings?.reverseSentence && card.example && (
+                <div className="card-cloze">
+                  <div>{blankKanji(card.example.sentence, card.script)}</div>
+                  <div className="card-cloze-translation">{card.example.translation}</div>
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="card-script">{card?.script}</div>
+          )}
           {answerReady ? (
             <div className="card-details">
+              {cloze && <ClozeAnswer cloze={cloze} />}
+              {KANA_DECKS.includes(card?.deck) && <div className="detail">{card?.romaji}</div>}
+              {card?.deck === VOCAB_DECK && (
+                <>
+                  <div className="detail">{card.meaning}</div>
+                  <div className="detail">{card.reading}</div>
+                  {reviewSettings?.showRomaji && card.romaji && (
+                    <div className="detail">{card.romaji}</div>
+                  )}
+                  <WordKanji card={card} />
+                </>
+              )}
               {card?.deck === "kanji" && (
                 <>
+                  {cloze && <div className="card-script">{card.script}</div>}
                   <div className="detail">{card.meaning}</div>
                   {reviewSettings?.showOn && (
                     <div className="detail">On: {card.onyomi}</div>
@@ -246,28 +671,345 @@ const SwipeCard = ({
                   {reviewSettings?.showRomaji && card.romaji && (
                     <div className="detail">{card.romaji}</div>
                   )}
+                  {card.mnemonic && <div className="detail mnemonic">{card.mnemonic}</div>}
                 </>
               )}
             </div>
           ) : (
             <div className="card-prompt">
-              {card?.deck === "kanji" ? "Meaning + Readings" : "Say the sound"}
+              {pair
+                ? "Which one is it?"
+                : cloze
+                  ? "Missing word + reading"
+                  : isReverse
+                    ? "Recall the kanji"
+                    : card?.deck === "kanji"
+                      ? "Meaning + Readings"
+                      : card?.deck === VOCAB_DECK
+                        ? "Meaning + Reading"
+                        : "Say the sound"}
             </div>
           )}
         </div>
       </div>
       <div className="card-actions">
-        <button className="ghost" onClick={onReveal}>
+        <button className="ghost" onClick={reveal} disabled={Boolean(pair && !picked)}>
           {answerReady ? "Hide" : "Reveal"}
         </button>
-        <button className="danger" disabled={!answerReady} onClick={() => onAnswer(false)}>
-          Wrong
+        {GRADE_OPTIONS.map((option) => (
+          <button
+            key={option.grade}
+            className={option.className}
+            disabled={!answerReady || (confused && option.grade !== "again")}
+            onClick={() => answer(option.grade)}
+            title={`Press ${option.key}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <div className="card-meta">
+        <span>1–4 to grade · Swipe ← again, ↓ hard, → good, ↑ easy</span>
+        <button className="link" onClick={onUndo} disabled={!canUndo} title="Ctrl+Z">
+          Undo
         </button>
-        <button className="success" disabled={!answerReady} onClick={() => onAnswer(true)}>
-          Right
+        <button className="link" onClick={onSkip}>
+          Skip
         </button>
+        {onBury && (
+          <button className="link" onClick={onBury} title="Hide until tomorrow">
+            Bury
+          </button>
+        )}
+        {onSuspend && (
+          <button className="link" onClick={onSuspend} title="Hide until restored">
+            Suspend
+          </button>
+        )}
       </div>
+    </div>
+  );
+};
+
+const TypedCard = ({ card, onAnswer, onSkip, onUndo, canUndo = false }) => {
+  const [reading, setReading] = useState("");
+  const [meaning, setMeaning] = useState("");
+  const [result, setResult] = useState(null);
+  const readingInput = useRef(null);
+  const isKanji = card?.deck === "kanji";
+  const isWord = card?.deck === VOCAB_DECK;
+  const isKana = KANA_DECKS.includes(card?.deck);
+  const isReverse = card?.template === "reverse";
+  const cloze = clozeOf(card);
+  const asksMeaning = (isKanji || isWord) && !isReverse && !cloze;
+  // Kana are answered in plain romaji; a miss shows which kana that romaji is.
+  const toScript = card?.deck === "katakana" ? toKatakana : toHiragana;
+  const typedKana = isKana ? toScript(romajiToKana(reading, { final: true })) : null;
+
+  useEffect(() => {
+    setReading("");
+    setMeaning("");
+    setResult(null);
+    readingInput.current?.focus();
+  }, [card?.id, card?.template]);
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    if (!card) return;
+    if (result) {
+      onAnswer(result.grade, "typed");
+      return;
+    }
+    const readingOk = cloze ? checkCloze(cloze, reading) : checkReading(card, reading);
+    const meaningOk = asksMeaning ? checkMeaning(card, meaning) : null;
+    const checks = asksMeaning ? [readingOk, meaningOk] : [readingOk];
+    setResult({ readingOk, meaningOk, grade: gradeTypedAnswer(checks) });
+  };
+
+  const gradeLabel = GRADE_OPTIONS.find((option) => option.grade === result?.grade)?.label;
+
+  return (
+    <div className="card-shell">
+      <form className={`card typed-card ${result ? "can-answer" : ""}`} onSubmit={onSubmit}>
+        <div className="card-face">
+          {cloze ? (
+            <ClozeSentence cloze={cloze} revealed={Boolean(result)} />
+          ) : (
+            <div className={`card-script ${isReverse ? "card-meaning" : ""}`}>
+              {isReverse ? card?.meaning : card?.script}
+            </div>
+          )}
+          <input
+            ref={readingInput}
+            className={`typed-input ${result ? (result.readingOk ? "correct" : "wrong") : ""}`}
+            value={reading}
+            placeholder={
+              cloze
+                ? "Missing word or its reading"
+                : isKanji || isWord
+                  ? "Reading (romaji turns into kana)"
+                  : isKana
+                    ? `Romaji for this ${card.deck}`
+                    : "Sound in romaji"
+            }
+            onChange={(event) =>
+              setReading(
+                isKanji || isWord ? romajiToKana(event.target.value) : event.target.value
+              )
+            }
+            readOnly={Boolean(result)}
+            autoComplete="off"
+            autoCapitalize="off"
+            spellCheck={false}
+          />
+          {asksMeaning && (
+            <input
+              className={`typed-input ${result ? (result.meaningOk ? "correct" : "wrong") : ""}`}
+              value={meaning}
+              placeholder="Meaning"
+              onChange={(event) => setMeaning(event.target.value)}
+              readOnly={Boolean(result)}
+              autoComplete="off"
+            />
+          )}
+          {result && (
+            <div className="card-details">
+              {isReverse && <div className="detail">{card.script}</div>}
+              {cloze && <ClozeAnswer cloze={cloze} />}
+              {isKanji ? (
+                <>
+                  {asksMeaning && <div className="detail">{card.meaning}</div>}
+                  <div className="detail">On: {card.onyomi}</div>
+                  <div className="detail">Kun: {card.kunyomi}</div>
+                  {card.mnemonic && <div className="detail mnemonic">{card.mnemonic}</div>}
+                </>
+              ) : isWord ? (
+                <>
+                  <div className="detail">{card.meaning}</div>
+                  <div className="detail">{card.reading}</div>
+                  <WordKanji card={card} />
+                </>
+              ) : isKana ? (
+                <>
+                  <div className="detail">{card.romaji}</div>
+                  <div className="detail">
+                    {card.deck === "katakana" ? "Hiragana" : "Katakana"}:{" "}
+                    {card.deck === "katakana" ? toHiragana(card.script) : toKatakana(card.script)}
+                  </div>
+                  {!result.readingOk && typedKana && typedKana !== reading && (
+                    <div className="detail">You typed {typedKana}</div>
+                  )}
+                </>
+              ) : (
+                <div className="detail">{card.romaji}</div>
+              )}
+              <div className="card-prompt">Graded {gradeLabel}</div>
+            </div>
+          )}
+          <button className="primary" type="submit">
+            {result ? "Next" : "Check"}
+          </button>
+        </div>
+      </form>
       <div className="card-meta">
+        <span>Enter to check, Enter again to continue</span>
+        <button className="link" onClick={onUndo} disabled={!canUndo}>
+          Undo
+        </button>
+        <button className="link" onClick={onSkip}>
+          Skip
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const QuizCard = ({ card, onAnswer, onSkip, onUndo, canUndo = false, listening = false }) => {
+  const question = useMemo(() => {
+    if (!card) return null;
+    return listening ? buildListeningQuestion(card) : buildQuizQuestion(card);
+  }, [card, listening]);
+  const [picked, setPicked] = useState(null);
+
+  useEffect(() => {
+    setPicked(null);
+    if (question?.audio) speak(question.audio);
+    return stopSpeaking;
+  }, [question]);
+
+  const onPick = (choice) => {
+    if (picked) return;
+    setPicked(choice);
+  };
+
+  const onNext = () => {
+    if (!picked) return;
+    onAnswer(
+      picked.correct ? "good" : "again",
+      listening ? "listen" : "quiz",
+      picked.correct ? null : picked.id
+    );
+  };
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (!question) return;
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        onNext();
+        return;
+      }
+      const choice = question.choices[Number(event.key) - 1];
+      if (choice) onPick(choice);
+    };
+
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [question, picked, onAnswer]);
+
+  if (!question) return null;
+
+  const choiceClass = (choice) => {
+    if (!picked) return "ghost";
+    if (choice.correct) return "success";
+    return choice === picked ? "danger" : "ghost";
+  };
+
+  return (
+    <div className="card-shell">
+      <div className={`card quiz-card ${picked ? "can-answer" : ""}`}>
+        <div className="card-face">
+          {question.audio && !picked ? (
+            <SpeakButtons text={question.audio} />
+          ) : (
+            <div
+              className={`card-script ${
+                question.kind === "kanji" || question.kind === "cloze" ? "card-meaning" : ""
+              }`}
+            >
+              {question.audio ? card.script : question.prompt}
+            </div>
+          )}
+          {question.audio && picked && card.example && (
+            <div className="card-cloze">
+              <div>{card.example.sentence}</div>
+              <div className="card-cloze-translation">{card.example.translation}</div>
+            </div>
+          )}
+          <div className="card-prompt">
+            {question.audio ? "Listen, then pick the " : "Pick the "}
+            {question.title.toLowerCase()}
+          </div>
+          <div className="quiz-choices">
+            {question.choices.map((choice, index) => (
+              <button
+                key={choice.id}
+                className={`quiz-choice ${choiceClass(choice)}`}
+                onClick={() => onPick(choice)}
+                disabled={Boolean(picked) && choice !== picked && !choice.correct}
+              >
+                <span className="quiz-key">{index + 1}</span>
+                {choice.label}
+              </button>
+            ))}
+          </div>
+          {picked && card.mnemonic && <div className="detail mnemonic">{card.mnemonic}</div>}
+          {picked && (
+            <button className="primary" onClick={onNext}>
+              Next
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="card-meta">
+        <span>1–4 to pick · Enter to continue</span>
+        <button className="link" onClick={onUndo} disabled={!canUndo}>
+          Undo
+        </button>
+        <button className="link" onClick={onSkip}>
+          Skip
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const WriteCard = ({ card, onAnswer, onSkip, onUndo, canUndo = false }) => {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    setResult(null);
+  }, [card?.id, card?.template]);
+
+  const grade = result ? gradeStrokeScore(result.score) : null;
+
+  return (
+    <div className="card-shell">
+      <div className={`card write-card ${result ? "can-answer" : ""}`}>
+        <div className="card-face">
+          {result ? (
+            <div className="card-script">{card.script}</div>
+          ) : (
+            <div className="card-script card-meaning">{card.meaning}</div>
+          )}
+          <div className="card-prompt">
+            {result
+              ? `Graded ${GRADE_OPTIONS.find((option) => option.grade === grade)?.label}`
+              : "Write the kanji"}
+          </div>
+          <StrokePad key={`${card.id}-${card.template}`} strokes={card.strokes} onCheck={setResult} />
+          {result && (
+            <button className="primary" onClick={() => onAnswer(grade, "write")}>
+              Next
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="card-meta">
+        <span>Draw each stroke in order, then Check</span>
+        <button className="link" onClick={onUndo} disabled={!canUndo}>
+          Undo
+        </button>
         <button className="link" onClick={onSkip}>
           Skip
         </button>
@@ -285,22 +1027,57 @@ export default function App() {
   const [learnStep, setLearnStep] = useState("intro");
   const [reviewStep, setReviewStep] = useState("hub");
   const [reviewDeckId, setReviewDeckId] = useState("kanji");
+  const [customFilter, setCustomFilter] = useState(DEFAULT_CUSTOM_FILTER);
+  const [availableTags, setAvailableTags] = useState([]);
+  const [cramSession, setCramSession] = useState(false);
   const [learnLevel, setLearnLevel] = useState("N5");
   const [learnError, setLearnError] = useState("");
   const [lifecycleLevels, setLifecycleLevels] = useState(JLPT_LEVELS);
+  const [lifecycleRadical, setLifecycleRadical] = useState(null);
   const [lifecycleTab, setLifecycleTab] = useState("toLearn");
   const [lifecycleData, setLifecycleData] = useState({
+    radicals: [],
     toLearn: [],
     learning: [],
     mastered: [],
+    paused: [],
     suggestion: null,
   });
+  const [leeches, setLeeches] = useState([]);
+  const [optimizerReport, setOptimizerReport] = useState(null);
+  const [forecastDays, setForecastDays] = useState(30);
+  const [forecastDeckId, setForecastDeckId] = useState(null);
+  const [forecastIncludeNew, setForecastIncludeNew] = useState(false);
+  const [forecast, setForecast] = useState(null);
+  const [mnemonicDrafts, setMnemonicDrafts] = useState({});
+  const [tagDrafts, setTagDrafts] = useState({});
   const [settings, setSettings] = useState({
     newPerSession: 10,
     reviewLimit: 10,
     showOn: true,
     showKun: true,
     showRomaji: true,
+    learningSteps: [1, 10],
+    relearningSteps: [10],
+    leechThreshold: 8,
+    leechAction: "suspend",
+    vacationStartedAt: null,
+    reverseSentence: true,
+    reviewMode: "swipe",
+    recognitionFactor: 0.6,
+    ...DEFAULT_DAY_OPTIONS,
+  });
+  const [timeZoneDraft, setTimeZoneDraft] = useState(DEFAULT_DAY_OPTIONS.timeZone);
+  const [rescheduleDays, setRescheduleDays] = useState(7);
+  const [rescheduleResult, setRescheduleResult] = useState("");
+  const [vocabularyResult, setVocabularyResult] = useState("");
+  const [importHistory, setImportHistory] = useState(true);
+  const [importResult, setImportResult] = useState("");
+  const [exportScheduling, setExportScheduling] = useState(true);
+  const [exportResult, setExportResult] = useState("");
+  const [stepDrafts, setStepDrafts] = useState({
+    learningSteps: "1m 10m",
+    relearningSteps: "10m",
   });
   const [sessionIndex, setSessionIndex] = useState(0);
   const [reveal, setReveal] = useState(false);
@@ -311,6 +1088,8 @@ export default function App() {
   const [reviewResults, setReviewResults] = useState([]);
   const [learningReturn, setLearningReturn] = useState(null);
   const [learningMode, setLearningMode] = useState("normal");
+  const [answerHistory, setAnswerHistory] = useState([]);
+  const undoPending = useRef(false);
 
   useEffect(() => {
     const load = async () => {
@@ -321,6 +1100,8 @@ export default function App() {
         setReviewCards(mapReviewCards(reviewData));
         const learned = await fetchJSON("/kanji/learned");
         setLearnedCards(learned);
+        const serverSettings = await fetchJSON("/settings");
+        applyServerSettings(serverSettings);
         setApiStatus("ok");
       } catch (error) {
         setApiStatus("error");
@@ -331,11 +1112,165 @@ export default function App() {
     load();
   }, []);
 
+  const applyServerSettings = ({ id, ...serverSettings }) => {
+    setSettings((prev) => ({ ...prev, ...serverSettings }));
+    setStepDrafts({
+      learningSteps: formatSteps(serverSettings.learningSteps),
+      relearningSteps: formatSteps(serverSettings.relearningSteps),
+    });
+    setTimeZoneDraft(serverSettings.timeZone);
+  };
+
+  const commitTimeZone = (timeZone) => {
+    if (!isValidTimeZone(timeZone)) {
+      setTimeZoneDraft(settings.timeZone);
+      return;
+    }
+    saveServerSettings({ timeZone });
+  };
+
+  const saveServerSettings = async (patch) => {
+    try {
+      const serverSettings = await fetchJSON("/settings", {
+        method: "PUT",
+        body: JSON.stringify(patch),
+      });
+      applyServerSettings(serverSettings);
+    } catch (error) {
+      // ignore for now
+    }
+  };
+
+  const runOptimizer = async () => {
+    setOptimizerReport({ status: "running" });
+    try {
+      const response = await fetch(`${API_BASE}/scheduler/optimize`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ save: true }),
+      });
+      let job = await response.json();
+      if (!response.ok) {
+        setOptimizerReport({ status: "error", message: job.error });
+        return;
+      }
+      while (job.status === "running") {
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        job = await fetchJSON("/scheduler/optimize");
+      }
+      setOptimizerReport(job.status === "done" ? job : { status: "error", message: job.error });
+    } catch (error) {
+      setOptimizerReport({ status: "error", message: "Could not reach the server." });
+    }
+  };
+
+  const setVacation = async (enabled) => {
+    try {
+      const { shifted, ...serverSettings } = await fetchJSON("/vacation", {
+        method: "POST",
+        body: JSON.stringify({ enabled }),
+      });
+      applyServerSettings(serverSettings);
+      if (!enabled) refreshReview();
+    } catch (error) {
+      // ignore for now
+    }
+  };
+
+  const rescheduleOverdue = async () => {
+    try {
+      const result = await fetchJSON("/review/reschedule-overdue", {
+        method: "POST",
+        body: JSON.stringify({ days: rescheduleDays }),
+      });
+      setRescheduleResult(
+        `Spread ${result.rescheduled} overdue cards over ${result.days} days.`
+      );
+      refreshReview();
+    } catch (error) {
+      setRescheduleResult("Could not reschedule overdue cards.");
+    }
+  };
+
+  const buildVocabulary = async () => {
+    try {
+      const result = await fetchJSON("/vocabulary/build", { method: "POST" });
+      setVocabularyResult(`${result.words} words (${result.created} new).`);
+      setDecks(await fetchJSON("/decks"));
+    } catch (error) {
+      setVocabularyResult("Could not build the vocabulary deck.");
+    }
+  };
+
+  const importPackage = async (file) => {
+    if (!file) return;
+    setImportResult(`Importing ${file.name}…`);
+    try {
+      const response = await fetch(`${API_BASE}/import/apkg${importHistory ? "?history=1" : ""}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: file,
+      });
+      if (response.status === 413) {
+        setImportResult("That package is too big to upload; use npm run import:apkg instead.");
+        return;
+      }
+      const result = await response.json();
+      if (!response.ok) {
+        setImportResult(result.error ?? "Could not import that package.");
+        return;
+      }
+      setImportResult(
+        `${result.created} new and ${result.updated} updated cards, ${result.reviews} with history.`
+      );
+      setDecks(await fetchJSON("/decks"));
+      refreshReview();
+    } catch (error) {
+      setImportResult("Could not import that package.");
+    }
+  };
+
+  const exportPackage = async () => {
+    setExportResult("Exporting…");
+    try {
+      const response = await fetch(
+        `${API_BASE}/export/apkg${exportScheduling ? "?scheduling=1" : ""}`
+      );
+      if (!response.ok) throw new Error("export failed");
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "anki-swipe.apkg";
+      link.click();
+      URL.revokeObjectURL(url);
+      setExportResult("");
+    } catch (error) {
+      setExportResult("Could not export the decks.");
+    }
+  };
+
+  const commitSteps = (key) => {
+    const steps = parseSteps(stepDrafts[key]);
+    if (!steps) {
+      setStepDrafts((prev) => ({ ...prev, [key]: formatSteps(settings[key]) }));
+      return;
+    }
+    saveServerSettings({ [key]: steps });
+  };
+
   const refreshReview = async () => {
     const reviewData = await fetchJSON("/review");
     setReviewCards(mapReviewCards(reviewData));
   };
 
+  const addGroupToReview = (deckId, groupId) =>
+    fetchJSON("/review/add-group", {
+      method: "POST",
+      body: JSON.stringify({ deckId, groupId }),
+    })
+      .then(refreshReview)
+      .catch(() => {});
+
   const refreshLearned = async () => {
     try {
       const learned = await fetchJSON("/kanji/learned");
@@ -345,26 +1280,135 @@ export default function App() {
     }
   };
 
+  const loadLifecycle = async () => {
+    try {
+      const levelsParam = lifecycleLevels.length
+        ? lifecycleLevels.join(",")
+        : "";
+      const radicalParam = lifecycleRadical
+        ? `&radical=${encodeURIComponent(lifecycleRadical)}`
+        : "";
+      const data = await fetchJSON(`/kanji/lifecycle?levels=${levelsParam}${radicalParam}`);
+      setLifecycleData(data);
+      setTagDrafts((prev) =>
+        [...data.toLearn, ...data.learning, ...data.mastered, ...(data.paused ?? [])].reduce(
+          (acc, card) => {
+            acc[card.id] = (card.tags ?? []).join(", ");
+            return acc;
+          },
+          { ...prev }
+        )
+      );
+    } catch (error) {
+      setLifecycleData({
+        radicals: [],
+        toLearn: [],
+        learning: [],
+        mastered: [],
+        paused: [],
+        suggestion: null,
+      });
+    }
+  };
+
   useEffect(() => {
     if (view !== "library") return;
-    const loadLifecycle = async () => {
+    loadLifecycle();
+  }, [view, lifecycleLevels, lifecycleRadical]);
+
+  useEffect(() => {
+    if (view !== "stats") return;
+    const loadForecast = async () => {
       try {
-        const levelsParam = lifecycleLevels.length
-          ? lifecycleLevels.join(",")
-          : "";
-        const data = await fetchJSON(`/kanji/lifecycle?levels=${levelsParam}`);
-        setLifecycleData(data);
+        const newPerDay = forecastIncludeNew ? settings.newPerSession : 0;
+        const data = await fetchJSON(
+          `/review/forecast?days=${forecastDays}&newPerDay=${newPerDay}${
+            forecastDeckId ? `&deckId=${forecastDeckId}` : ""
+          }`
+        );
+        setForecast(data);
       } catch (error) {
-        setLifecycleData({
-          toLearn: [],
-          learning: [],
-          mastered: [],
-          suggestion: null,
-        });
+        setForecast(null);
       }
     };
-    loadLifecycle();
-  }, [view, lifecycleLevels]);
+    loadForecast();
+  }, [view, forecastDays, forecastDeckId, forecastIncludeNew, settings.newPerSession]);
+
+  const loadLeeches = async () => {
+    try {
+      const data = await fetchJSON("/kanji/leeches");
+      setLeeches(data);
+      setMnemonicDrafts(
+        data.reduce((acc, card) => {
+          acc[card.id] = card.mnemonic ?? "";
+          return acc;
+        }, {})
+      );
+      setTagDrafts((prev) =>
+        data.reduce(
+          (acc, card) => {
+            acc[card.id] = (card.tags ?? []).join(", ");
+            return acc;
+          },
+          { ...prev }
+        )
+      );
+    } catch (error) {
+      setLeeches([]);
+    }
+  };
+
+  useEffect(() => {
+    if (view !== "library" || lifecycleTab !== "leeches") return;
+    loadLeeches();
+  }, [view, lifecycleTab]);
+
+  const setCardState = (action, cardId, template) =>
+    fetchJSON(`/review/${action}`, {
+      method: "POST",
+      body: JSON.stringify({ cardId, template }),
+    }).then((updated) => {
+      setReviewCards((prev) => ({ ...prev, ...mapReviewCards(updated) }));
+      return updated;
+    });
+
+  const onLibraryCardState = (action, cardId, template) =>
+    setCardState(action, cardId, template)
+      .then(() => {
+        loadLifecycle();
+        if (lifecycleTab === "leeches") loadLeeches();
+      })
+      .catch(() => {});
+
+  const resetCard = (cardId, template) =>
+    fetchJSON("/review/reset-card", {
+      method: "POST",
+      body: JSON.stringify({ cardId, template }),
+    })
+      .then(() => {
+        loadLeeches();
+        refreshReview();
+      })
+      .catch(() => {});
+
+  const saveTags = (cardId) =>
+    fetchJSON(`/cards/${encodeURIComponent(cardId)}`, {
+      method: "PATCH",
+      body: JSON.stringify({ tags: (tagDrafts[cardId] ?? "").split(",") }),
+    })
+      .then(loadLifecycle)
+      .catch(() => {});
+
+  const saveMnemonic = (cardId) =>
+    fetchJSON(`/cards/${encodeURIComponent(cardId)}`, {
+      method: "PATCH",
+      body: JSON.stringify({
+        mnemonic: mnemonicDrafts[cardId] ?? "",
+        tags: (tagDrafts[cardId] ?? "").split(","),
+      }),
+    })
+      .then(loadLeeches)
+      .catch(() => {});
 
   const startLearningSession = (cards, index = 0, mode = "normal") => {
     setSessionCards([...cards]);
@@ -384,6 +1428,7 @@ export default function App() {
     setReveal(false);
     setReviewAnswered(0);
     setReviewResults([]);
+    setAnswerHistory([]);
   };
   const loadKanjiLesson = async () => {
     try {
@@ -404,9 +1449,17 @@ export default function App() {
 
   const onStartReview = async (targetDeckId = "kanji") => {
     setReviewDeckId(targetDeckId);
+    setCramSession(false);
     try {
       const query = targetDeckId ? `?deckId=${targetDeckId}` : "";
-      const dueCards = await fetchJSON(`/review/due${query}&limit=${settings.reviewLimit}`);
+      const distractors = CHOICE_MODES.includes(settings.reviewMode)
+        ? `&distractors=${QUIZ_DISTRACTORS}`
+        : "";
+      const drill = settings.reviewMode === "drill" ? "&drill=1" : "";
+      const strokes = settings.reviewMode === "write" ? "&strokes=1" : "";
+      const dueCards = await fetchJSON(
+        `/review/due${query}&limit=${settings.reviewLimit}${distractors}${drill}${strokes}`
+      );
       if (!dueCards.length) {
         setReviewStep("empty");
         return;
@@ -416,39 +1469,190 @@ export default function App() {
     } catch (error) {
       setReviewStep("empty");
     }
-  };
+  };
+
+  const onStartCustomReview = async () => {
+    const { cram, deckId, ...filters } = customFilter;
+    setReviewDeckId(deckId || null);
+    setCramSession(cram);
+    try {
+      const cards = await fetchJSON("/review/custom", {
+        method: "POST",
+        body: JSON.stringify({
+          ...filters,
+          deckId: deckId || null,
+          limit: settings.reviewLimit,
+          distractors: CHOICE_MODES.includes(settings.reviewMode) ? QUIZ_DISTRACTORS : 0,
+          drill: settings.reviewMode === "drill",
+          strokes: settings.reviewMode === "write",
+        }),
+      });
+      if (!cards.length) {
+        setReviewStep("no-match");
+        return;
+      }
+      startReviewSession(cards, { shuffle: true });
+      setReviewStep("session");
+    } catch (error) {
+      setReviewStep("empty");
+    }
+  };
+
+  const updateCustomFilter = (key, value) =>
+    setCustomFilter((prev) => ({ ...prev, [key]: value }));
+
+  const toggleCustomList = (key, value) =>
+    setCustomFilter((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter((item) => item !== value)
+        : [...prev[key], value],
+    }));
+
+  const onAnswer = async (grade, source = "swipe", confusedWith = null) => {
+    const card = sessionCards[sessionIndex];
+    if (!card) return;
+    const answerMs = now() - sessionStartedAt;
+    const isCorrect = grade !== "again";
+
+    setReviewAnswered((prev) => Math.min(prev + 1, sessionCards.length));
+    setReviewResults((prev) => [
+      ...prev,
+      { id: card.id, correct: isCorrect, grade, viewed: false },
+    ]);
+
+    let logId = null;
+    let requeued = false;
+    try {
+      const updated = await fetchJSON("/review/answer", {
+        method: "POST",
+        body: JSON.stringify({
+          cardId: card.id,
+          template: card.template,
+          grade,
+          answerMs,
+          source,
+          confusedWith,
+          cram: cramSession,
+        }),
+      });
+      if (cramSession) {
+        // The server leaves the schedule alone; missed cards come back at the end.
+        requeued = grade === "again";
+        if (requeued) setSessionCards((prev) => [...prev, { ...card }]);
+      } else {
+        logId = updated.logId ?? null;
+        requeued = isInSteps(updated);
+        setReviewCards((prev) => ({ ...prev, [updated.id]: updated }));
+        setSessionCards((prev) => {
+          const next = [...prev];
+          if (next[sessionIndex]) {
+            next[sessionIndex] = { ...next[sessionIndex], review: updated };
+          }
+          if (requeued) {
+            next.push({ ...card, review: updated, waiting: true });
+          }
+          return next;
+        });
+      }
+    } catch (error) {
+      // ignore for now
+    }
+    setAnswerHistory((prev) => [...prev, { index: sessionIndex, logId, requeued }]);
+
+    setSessionStartedAt(now());
+    setReveal(false);
+    if (sessionIndex + 1 >= sessionCards.length + (requeued ? 1 : 0)) {
+      setReviewStep("complete");
+      return;
+    }
+    setSessionIndex((prev) => prev + 1);
+  };
+
+  const onReveal = () => setReveal((prev) => !prev);
+
+  useEffect(() => {
+    if (view !== "review" || reviewStep !== "hub") return;
+    fetchJSON("/tags")
+      .then(setAvailableTags)
+      .catch(() => setAvailableTags([]));
+  }, [view, reviewStep]);
+
+  const onUndo = async () => {
+    const last = answerHistory[answerHistory.length - 1];
+    if (!last || undoPending.current) return;
+    undoPending.current = true;
+
+    try {
+      if (last.restore) {
+        const card = sessionCards[last.index];
+        await setCardState(last.restore, card?.id, card?.template);
+      }
+      if (last.logId) {
+        const restored = await fetchJSON("/review/undo", {
+          method: "POST",
+          body: JSON.stringify({ logId: last.logId }),
+        });
+        setReviewCards((prev) => ({ ...prev, [restored.id]: restored }));
+        setSessionCards((prev) => {
+          const next = last.requeued ? prev.slice(0, -1) : [...prev];
+          if (next[last.index]) {
+            next[last.index] = { ...next[last.index], review: restored };
+          }
+          return next;
+        });
+      } else if (last.requeued) {
+        setSessionCards((prev) => prev.slice(0, -1));
+      }
+      setAnswerHistory((prev) => prev.slice(0, -1));
+      setReviewAnswered((prev) => Math.max(0, prev - 1));
+      setReviewResults((prev) => prev.slice(0, -1));
+      setSessionIndex(last.index);
+      setSessionStartedAt(now());
+      setReveal(false);
+      setReviewStep("session");
+    } catch (error) {
+      // keep the history entry so the undo can be retried
+    } finally {
+      undoPending.current = false;
+    }
+  };
+
+  useEffect(() => {
+    const card = sessionCards[sessionIndex];
+    if (!card?.waiting) return undefined;
+    const release = () => {
+      setSessionCards((prev) =>
+        prev.map((item, index) =>
+          index === sessionIndex ? { ...item, waiting: false } : item
+        )
+      );
+      setSessionStartedAt(now());
+    };
+    const waitMs = new Date(card.review?.dueAt).getTime() - now();
+    if (!(waitMs > 0)) {
+      release();
+      return undefined;
+    }
+    const timer = window.setTimeout(release, waitMs);
+    return () => window.clearTimeout(timer);
+  }, [sessionCards, sessionIndex]);
 
-  const onAnswer = async (isCorrect) => {
+  const onPauseCard = async (action) => {
     const card = sessionCards[sessionIndex];
     if (!card) return;
-    const answerMs = now() - sessionStartedAt;
-
-    setReviewAnswered((prev) => Math.min(prev + 1, sessionCards.length));
-    setReviewResults((prev) => [...prev, { id: card.id, correct: isCorrect, viewed: false }]);
-
     try {
-      const updated = await fetchJSON("/review/answer", {
-        method: "POST",
-        body: JSON.stringify({
-          cardId: card.id,
-          isCorrect,
-          answerMs,
-        }),
-      });
-      setReviewCards((prev) => ({ ...prev, [updated.cardId]: updated }));
-      setSessionCards((prev) => {
-        const next = [...prev];
-        if (next[sessionIndex]) {
-          next[sessionIndex] = { ...next[sessionIndex], review: updated };
-        }
-        return next;
-      });
+      await setCardState(action, card.id, card.template);
     } catch (error) {
-      // ignore for now
+      return;
     }
-
-    setSessionStartedAt(now());
     setReveal(false);
+    setReviewAnswered((prev) => Math.min(prev + 1, sessionCards.length));
+    setAnswerHistory((prev) => [
+      ...prev,
+      { index: sessionIndex, logId: null, restore: action === "suspend" ? "unsuspend" : "unbury" },
+    ]);
+    setSessionStartedAt(now());
     if (sessionIndex + 1 >= sessionCards.length) {
       setReviewStep("complete");
       return;
@@ -456,11 +1660,10 @@ export default function App() {
     setSessionIndex((prev) => prev + 1);
   };
 
-  const onReveal = () => setReveal((prev) => !prev);
-
   const onSkip = () => {
     setReveal(false);
     setReviewAnswered((prev) => Math.min(prev + 1, sessionCards.length));
+    setAnswerHistory((prev) => [...prev, { index: sessionIndex, logId: null }]);
     const card = sessionCards[sessionIndex];
     if (card) {
       setReviewResults((prev) => [...prev, { id: card.id, correct: false, viewed: false }]);
@@ -529,17 +1732,39 @@ export default function App() {
       .catch(() => {});
 
   const kanjiDeck = decks.find((deck) => deck.id === "kanji");
+  const kanjiCards = kanjiDeck?.groups.flatMap((group) => group.cards) ?? [];
+  const strokeCount = kanjiCards.filter((card) => card.hasStrokes).length;
+
+  const dayOptions = useMemo(
+    () => getDayOptions(settings),
+    [settings.timeZone, settings.dayStartHour]
+  );
+
+  // Nothing is due while the schedule is frozen for a vacation. A session shows
+  // one direction per card, so sibling templates count once.
+  const countDue = (deckId) =>
+    settings.vacationStartedAt
+      ? 0
+      : new Set(getDueCards(reviewCards, deckId, dayOptions).map((review) => review.cardId)).size;
 
   const dueCount = useMemo(
-    () => getDueCards(reviewCards, reviewDeckId).length,
-    [reviewCards, reviewDeckId]
+    () => countDue(reviewDeckId),
+    [reviewCards, reviewDeckId, dayOptions, settings.vacationStartedAt]
   );
 
   const globalDue = useMemo(
-    () => getDueCards(reviewCards, "kanji").length,
+    () => countDue(null),
+    [reviewCards, dayOptions, settings.vacationStartedAt]
+  );
+
+  const reviewedCardIds = useMemo(
+    () => new Set(Object.values(reviewCards).map((review) => review.cardId)),
     [reviewCards]
   );
 
+  const isGroupInReview = (group) =>
+    group.cards.length > 0 && group.cards.every((card) => reviewedCardIds.has(card.id));
+
   const learnProgress = useMemo(() => {
     if (!sessionCards.length) return 0;
     return (sessionIndex / sessionCards.length) * 100;
@@ -590,6 +1815,14 @@ export default function App() {
           >
             Kanji Path
           </button>
+          <button
+            className={`tab ${view === "stats" ? "active" : ""}`}
+            onClick={() => {
+              setView("stats");
+            }}
+          >
+            Stats
+          </button>
           <button
             className={`tab ${view === "settings" ? "active" : ""}`}
             onClick={() => {
@@ -666,18 +1899,34 @@ export default function App() {
                 <div className="panel-title">
                   <h2>Kana Support</h2>
                 </div>
-                <p>Use kana as a reading aid while you focus on Kanji.</p>
+                <p>Add kana rows to review to learn them before starting Kanji.</p>
                 <div className="kana-columns">
                   {decks
-                    .filter((deck) => deck.id !== "kanji")
+                    .filter((deck) => KANA_DECKS.includes(deck.id))
                     .map((deck) => (
                       <div key={deck.id} className="kana-block">
                         <div className="tile-title">
                           {deck.id === "hiragana" ? "Hiragana" : "Katakana"}
                         </div>
-                        <div className="tile-sub">Reading aid</div>
+                        <div className="tile-sub">
+                          {deck.groups.filter(isGroupInReview).length}/{deck.groups.length} rows
+                          in review
+                        </div>
                         {deck.groups.map((group) => (
                           <div key={group.id} className="kana-group">
+                            <div className="kana-group-header">
+                              <span>{group.label}</span>
+                              {isGroupInReview(group) ? (
+                                <span className="tile-sub">In review</span>
+                              ) : (
+                                <button
+                                  className="ghost"
+                                  onClick={() => addGroupToReview(deck.id, group.id)}
+                                >
+                                  Add to review
+                                </button>
+                              )}
+                            </div>
                             <div className="kana-row">
                               {group.cards.map((card) => (
                                 <span key={card.id} className="kana-char">
@@ -720,6 +1969,10 @@ export default function App() {
                 card={sessionCards[sessionIndex]}
                 onNext={onLearnNext}
               />
+              <StrokePractice
+                key={sessionCards[sessionIndex]?.id}
+                card={sessionCards[sessionIndex]}
+              />
               <div className="banner">
                 New Kanji this session: {sessionCards.length}
               </div>
@@ -743,27 +1996,74 @@ export default function App() {
           {reviewStep === "hub" && (
             <>
               <div className="panel-title">
-                <h2>Kanji review queue</h2>
+                <h2>Review queue</h2>
                 <div className="panel-actions">
                   <div className="review-badge">Due now: {globalDue}</div>
                 </div>
               </div>
+              {settings.vacationStartedAt && (
+                <div className="banner">
+                  Vacation mode is on since{" "}
+                  {new Date(settings.vacationStartedAt).toLocaleDateString()}. Your schedule is
+                  frozen until you turn it off in Settings.
+                </div>
+              )}
               <div className="grid">
-                {decks
-                  .filter((deck) => deck.id === "kanji")
-                  .map((deck) => (
+                {decks.map((deck) => {
+                  const cards = deck.groups.flatMap((group) => group.cards);
+                  const inReview = cards.filter((card) => reviewedCardIds.has(card.id)).length;
+                  return (
                     <div key={deck.id} className="review-tile">
                       <div>
                         <div className="tile-title">{deck.label}</div>
-                        <div className="tile-sub">Due: {getDueCards(reviewCards, deck.id).length}</div>
+                        <div className="tile-sub">
+                          Due: {countDue(deck.id)}
+                        </div>
+                        <div className="tile-sub">
+                          {inReview}/{cards.length} cards in review
+                        </div>
                       </div>
+                      {deck.id !== "kanji" && inReview < cards.length && (
+                        <button
+                          className="ghost"
+                          onClick={() =>
+                            Promise.all(
+                              deck.groups
+                                .filter((group) => !isGroupInReview(group))
+                                .map((group) => addGroupToReview(deck.id, group.id))
+                            )
+                          }
+                        >
+                          Add all
+                        </button>
+                      )}
                       <button className="primary" onClick={() => onStartReview(deck.id)}>
                         Start
                       </button>
                     </div>
-                  ))}
+                  );
+                })}
               </div>
               <div className="panel-actions">
+                <select
+                  className="mode-select"
+                  value={settings.reviewMode}
+                  onChange={(event) =>
+                    setSettings((prev) => ({ ...prev, reviewMode: event.target.value }))
+                  }
+                  aria-label="Review mode"
+                >
+                  {REVIEW_MODES.map((mode) => {
+                    // Without speech synthesis a listening card has nothing to play.
+                    const unavailable = mode.id === "listen" && !canSpeak();
+                    return (
+                      <option key={mode.id} value={mode.id} disabled={unavailable}>
+                        {mode.label}
+                        {unavailable ? " (needs speech in this browser)" : ""}
+                      </option>
+                    );
+                  })}
+                </select>
                 <button className="ghost" onClick={seedAllToReview}>
                   Seed Review Database
                 </button>
@@ -771,6 +2071,124 @@ export default function App() {
                   Start Review (max 10)
                 </button>
               </div>
+              {settings.reviewMode === "write" && strokeCount < kanjiCards.length && (
+                <div className="banner">
+                  Write mode only reviews kanji with stroke data: {strokeCount} of{" "}
+                  {kanjiCards.length} have it. Run <code>npm run import:strokes</code> in server/
+                  with a KanjiVG checkout to add the rest.
+                </div>
+              )}
+              <div className="custom-study">
+                <div className="panel-title">
+                  <h2>Custom study</h2>
+                </div>
+                <div className="settings-row">
+                  <label htmlFor="custom-deck">
+                    Deck
+                  </label>
+                  <select
+                    id="custom-deck"
+                    className="mode-select"
+                    value={customFilter.deckId}
+                    onChange={(event) => updateCustomFilter("deckId", event.target.value)}
+                  >
+                    <option value="">All decks</option>
+                    {decks.map((deck) => (
+                      <option key={deck.id} value={deck.id}>
+                        {deck.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="settings-row">
+                  <span>JLPT</span>
+                  {JLPT_LEVELS.map((level) => (
+                    <label key={level} className="level-check">
+                      <input
+                        type="checkbox"
+                        checked={customFilter.levels.includes(level)}
+                        onChange={() => toggleCustomList("levels", level)}
+                      />
+                      <span>{level}</span>
+                    </label>
+                  ))}
+                </div>
+                {availableTags.length > 0 && (
+                  <div className="settings-row">
+                    <span>Tags</span>
+                    {availableTags.map((tag) => (
+                      <label key={tag} className="level-check">
+                        <input
+                          type="checkbox"
+                          checked={customFilter.tags.includes(tag)}
+                          onChange={() => toggleCustomList("tags", tag)}
+                        />
+                        <span>{tag}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <div className="settings-row">
+                  <label htmlFor="custom-lapses">
+                    Lapses at least
+                  </label>
+                  <input
+                    id="custom-lapses"
+                    type="number"
+                    min={0}
+                    step={1}
+                    value={customFilter.minLapses}
+                    onChange={(event) =>
+                      updateCustomFilter("minLapses", Math.max(0, Number(event.target.value || 0)))
+                    }
+                  />
+                </div>
+                <div className="settings-row">
+                  <label htmlFor="custom-learned">
+                    Learned in the last
+                  </label>
+                  <input
+                    id="custom-learned"
+                    type="number"
+                    min={0}
+                    step={1}
+                    value={customFilter.learnedWithinDays}
+                    onChange={(event) =>
+                      updateCustomFilter(
+                        "learnedWithinDays",
+                        Math.max(0, Number(event.target.value || 0))
+                      )
+                    }
+                  />
+                  <span className="settings-hint">days (0 for any time)</span>
+                </div>
+                <div className="settings-row">
+                  <label className="level-check">
+                    <input
+                      type="checkbox"
+                      checked={customFilter.lastWrong}
+                      onChange={(event) => updateCustomFilter("lastWrong", event.target.checked)}
+                    />
+                    <span>Last answer was wrong</span>
+                  </label>
+                  <label className="level-check">
+                    <input
+                      type="checkbox"
+                      checked={customFilter.cram}
+                      onChange={(event) => updateCustomFilter("cram", event.target.checked)}
+                    />
+                    <span>Cram (answers don't change the schedule)</span>
+                  </label>
+                </div>
+                <div className="panel-actions">
+                  <button className="ghost" onClick={() => setCustomFilter(DEFAULT_CUSTOM_FILTER)}>
+                    Clear
+                  </button>
+                  <button className="primary" onClick={onStartCustomReview}>
+                    Start custom session
+                  </button>
+                </div>
+              </div>
             </>
           )}
 
@@ -784,14 +2202,75 @@ export default function App() {
                   </button>
                 </div>
               </div>
-              <SwipeCard
-                card={sessionCards[sessionIndex]}
-                onAnswer={onAnswer}
-                onReveal={onReveal}
-                answerReady={reveal}
-                onSkip={onSkip}
-                reviewSettings={settings}
-              />
+              {sessionCards[sessionIndex]?.waiting ? (
+                <div className="learning-wait">
+                  <div className="tile-title">{sessionCards[sessionIndex].script}</div>
+                  <p>
+                    Back in the queue at{" "}
+                    {new Date(sessionCards[sessionIndex].review.dueAt).toLocaleTimeString([], {
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })}
+                  </p>
+                  <div className="panel-actions">
+                    <button className="ghost" onClick={onUndo} disabled={!answerHistory.length}>
+                      Undo
+                    </button>
+                    <button
+                      className="primary"
+                      onClick={() =>
+                        setSessionCards((prev) =>
+                          prev.map((item, index) =>
+                            index === sessionIndex ? { ...item, waiting: false } : item
+                          )
+                        )
+                      }
+                    >
+                      Study now
+                    </button>
+                  </div>
+                </div>
+              ) : settings.reviewMode === "write" &&
+                sessionCards[sessionIndex]?.strokes?.length ? (
+                <WriteCard
+                  card={sessionCards[sessionIndex]}
+                  onAnswer={onAnswer}
+                  onSkip={onSkip}
+                  onUndo={onUndo}
+                  canUndo={answerHistory.length > 0}
+                />
+              ) : CHOICE_MODES.includes(settings.reviewMode) ? (
+                <QuizCard
+                  card={sessionCards[sessionIndex]}
+                  listening={settings.reviewMode === "listen" && canSpeak()}
+                  onAnswer={onAnswer}
+                  onSkip={onSkip}
+                  onUndo={onUndo}
+                  canUndo={answerHistory.length > 0}
+                />
+              ) : settings.reviewMode === "typed" ? (
+                <TypedCard
+                  card={sessionCards[sessionIndex]}
+                  onAnswer={onAnswer}
+                  onSkip={onSkip}
+                  onUndo={onUndo}
+                  canUndo={answerHistory.length > 0}
+                />
+              ) : (
+                <SwipeCard
+                  card={sessionCards[sessionIndex]}
+                  onAnswer={onAnswer}
+                  onReveal={onReveal}
+                  answerReady={reveal}
+                  onSkip={onSkip}
+                  onUndo={onUndo}
+                  canUndo={answerHistory.length > 0}
+                  onSuspend={() => onPauseCard("suspend")}
+                  onBury={() => onPauseCard("bury")}
+                  reviewSettings={settings}
+                  drill={settings.reviewMode === "drill"}
+                />
+              )}
               <div className="progress">
                 <span>Progress</span>
                 <div className="progress-bar">
@@ -807,6 +2286,11 @@ export default function App() {
               <p>Nice work. You cleared this queue.</p>
                 <div className="review-complete-actions">
                   <div className="results-title">Results</div>
+                  {answerHistory.length > 0 && (
+                    <button className="ghost" onClick={onUndo}>
+                      Undo last answer
+                    </button>
+                  )}
                 </div>
               <div className="result-grid">
                 {[...reviewResults]
@@ -843,9 +2327,10 @@ export default function App() {
                       }}
                     >
                       <span className="result-kanji">{card.script}</span>
-                      <span className="result-meaning">{card.meaning}</span>
+                      <span className="result-meaning">{card.meaning ?? card.romaji}</span>
                       <span className={`result-status ${result.correct ? "correct" : "incorrect"}`}>
-                        {result.correct ? "Correct" : "Incorrect"}
+                        {GRADE_OPTIONS.find((option) => option.grade === result.grade)?.label
+                          ?? (result.correct ? "Correct" : "Incorrect")}
                       </span>
                     </button>
                   );
@@ -857,7 +2342,17 @@ export default function App() {
           {reviewStep === "empty" && (
             <>
               <h2>No cards due yet</h2>
-              <p>Learn new Kanji to add cards into the review queue.</p>
+              <p>Learn new Kanji or add kana rows to put cards into the review queue.</p>
+              <button className="primary" onClick={() => setReviewStep("hub")}>
+                Back to review hub
+              </button>
+            </>
+          )}
+
+          {reviewStep === "no-match" && (
+            <>
+              <h2>No cards match</h2>
+              <p>Loosen the custom study filters and try again.</p>
               <button className="primary" onClick={() => setReviewStep("hub")}>
                 Back to review hub
               </button>
@@ -888,6 +2383,25 @@ export default function App() {
                   </label>
                 ))}
               </div>
+              {lifecycleData.radicals?.length > 0 && (
+                <>
+                  <div className="sidebar-title radical-title">Radicals</div>
+                  <div className="radical-options">
+                    {lifecycleData.radicals.map((radical) => (
+                      <button
+                        key={radical.id}
+                        className={`radical-chip ${lifecycleRadical === radical.id ? "active" : ""}`}
+                        title={`${radical.meaning ?? radical.id} · ${radical.count} kanji`}
+                        onClick={() =>
+                          setLifecycleRadical((prev) => (prev === radical.id ? null : radical.id))
+                        }
+                      >
+                        {radical.id}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
             </aside>
             <div className="library-main">
               <div className="library-tabs">
@@ -909,6 +2423,18 @@ export default function App() {
                 >
                   Mastered
                 </button>
+                <button
+                  className={`library-tab ${lifecycleTab === "paused" ? "active" : ""}`}
+                  onClick={() => setLifecycleTab("paused")}
+                >
+                  Suspended &amp; Buried
+                </button>
+                <button
+                  className={`library-tab ${lifecycleTab === "leeches" ? "active" : ""}`}
+                  onClick={() => setLifecycleTab("leeches")}
+                >
+                  Leeches
+                </button>
               </div>
 
               {lifecycleTab === "toLearn" && lifecycleData.suggestion && (
@@ -927,25 +2453,218 @@ export default function App() {
                 </div>
               )}
 
-              <div className="library-grid">
-                {(lifecycleTab === "toLearn"
-                  ? lifecycleData.toLearn
-                  : lifecycleTab === "learning"
-                    ? lifecycleData.learning
-                    : lifecycleData.mastered
-                ).map((card) => (
-                  <div key={card.id} className={`library-card ${lifecycleTab}`}>
-                    <div className="library-kanji">{card.script}</div>
-                    <div className="library-meaning">{card.meaning}</div>
-                    <div className="library-meta">
-                      <span>{card.level}</span>
-                      <span>Reviews: {card.reviewCount}</span>
+              {lifecycleTab === "leeches" && (
+                <div className="library-grid">
+                  {leeches.length === 0 && <p>No leeches. Cards you keep forgetting show up here.</p>}
+                  {leeches.map((card) => (
+                    <div key={`${card.id}-${card.template}`} className="library-card leech">
+                      <div className="library-kanji">{card.script}</div>
+                      <div className="library-meaning">{card.meaning}</div>
+                      <div className="library-meta">
+                        <span>{card.level}</span>
+                        <span>Lapses: {card.lapses}</span>
+                      </div>
+                      <div className="library-meta">
+                        <span>{TEMPLATE_LABELS[card.template]}</span>
+                      </div>
+                      <div className="library-meta">
+                        <span>{card.suspended ? "Suspended" : "Tagged"}</span>
+                      </div>
+                      <textarea
+                        className="mnemonic-input"
+                        rows={3}
+                        placeholder="Mnemonic"
+                        value={mnemonicDrafts[card.id] ?? ""}
+                        onChange={(event) =>
+                          setMnemonicDrafts((prev) => ({
+                            ...prev,
+                            [card.id]: event.target.value,
+                          }))
+                        }
+                      />
+                      <input
+                        className="mnemonic-input"
+                        placeholder="Tags, comma separated"
+                        value={tagDrafts[card.id] ?? ""}
+                        onChange={(event) =>
+                          setTagDrafts((prev) => ({ ...prev, [card.id]: event.target.value }))
+                        }
+                      />
+                      <div className="library-actions">
+                        <button className="ghost" onClick={() => saveMnemonic(card.id)}>
+                          Save
+                        </button>
+                        {card.suspended && (
+                          <button
+                            className="ghost"
+                            onClick={() =>
+                              onLibraryCardState("unsuspend", card.id, card.template)
+                            }
+                          >
+                            Unsuspend
+                          </button>
+                        )}
+                        <button
+                          className="danger"
+                          onClick={() => resetCard(card.id, card.template)}
+                        >
+                          Reset
+                        </button>
+                      </div>
                     </div>
-                  </div>
-                ))}
-              </div>
+                  ))}
+                </div>
+              )}
+
+              {lifecycleTab !== "leeches" && (
+                <div className="library-grid">
+                  {(lifecycleTab === "toLearn"
+                    ? lifecycleData.toLearn
+                    : lifecycleTab === "learning"
+                      ? lifecycleData.learning
+                      : lifecycleTab === "paused"
+                        ? lifecycleData.paused ?? []
+                        : lifecycleData.mastered
+                  ).map((card) => (
+                    <div key={card.id} className={`library-card ${lifecycleTab}`}>
+                      <div className="library-kanji">{card.script}</div>
+                      <div className="library-meaning">{card.meaning}</div>
+                      <div className="library-meta">
+                        <span>{card.level}</span>
+                        <span>Reviews: {card.reviewCount}</span>
+                      </div>
+                      <input
+                        className="mnemonic-input"
+                        placeholder="Tags, comma separated"
+                        value={tagDrafts[card.id] ?? ""}
+                        onChange={(event) =>
+                          setTagDrafts((prev) => ({ ...prev, [card.id]: event.target.value }))
+                        }
+                        onBlur={() => {
+                          if (tagDrafts[card.id] !== (card.tags ?? []).join(", ")) saveTags(card.id);
+                        }}
+                      />
+                      {card.hasReview && (
+                        <div className="library-actions">
+                          {card.suspended ? (
+                            <button
+                              className="ghost"
+                              onClick={() => onLibraryCardState("unsuspend", card.id)}
+                            >
+                              Unsuspend
+                            </button>
+                          ) : card.buriedUntil ? (
+                            <button
+                              className="ghost"
+                              onClick={() => onLibraryCardState("unbury", card.id)}
+                            >
+                              Unbury
+                            </button>
+                          ) : (
+                            <>
+                              <button
+                                className="ghost"
+                                onClick={() => onLibraryCardState("bury", card.id)}
+                              >
+                                Bury
+                              </button>
+                              <button
+                                className="ghost"
+                                onClick={() => onLibraryCardState("suspend", card.id)}
+                              >
+                                Suspend
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </section>
+      )}
+
+      {view === "stats" && (
+        <section className="panel">
+          <div className="panel-title">
+            <h2>Workload forecast</h2>
+            <div className="panel-actions">
+              {[{ id: null, label: "All decks" }, ...decks].map((deck) => (
+                <button
+                  key={deck.id ?? "all"}
+                  className={`chip ${forecastDeckId === deck.id ? "active" : ""}`}
+                  onClick={() => setForecastDeckId(deck.id)}
+                >
+                  {deck.label}
+                </button>
+              ))}
+              {[30, 90].map((days) => (
+                <button
+                  key={days}
+                  className={`chip ${forecastDays === days ? "active" : ""}`}
+                  onClick={() => setForecastDays(days)}
+                >
+                  {days} days
+                </button>
+              ))}
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={forecastIncludeNew}
+                  onChange={(event) => setForecastIncludeNew(event.target.checked)}
+                />
+                <span>+{settings.newPerSession} new per day</span>
+              </label>
             </div>
           </div>
+          {!forecast ? (
+            <p>Forecast unavailable. Is the server running?</p>
+          ) : (
+            <>
+              <div className="forecast-summary">
+                <div className="pill">{forecast.total} reviews in {forecastDays} days</div>
+                <div className="pill">
+                  ~{Math.round(forecast.total / forecastDays)} per day
+                </div>
+                {forecast.days[0]?.overdue > 0 && (
+                  <div className="review-badge">{forecast.days[0].overdue} overdue</div>
+                )}
+              </div>
+              <div className="forecast-chart">
+                {(() => {
+                  const peak = Math.max(
+                    1,
+                    ...forecast.days.map((day) => day.due + day.newReviews)
+                  );
+                  return forecast.days.map((day) => (
+                    <div
+                      key={day.date}
+                      className="forecast-bar"
+                      title={`${day.date}: ${day.due} due${
+                        day.newReviews ? `, ${day.newReviews} from new cards` : ""
+                      }`}
+                    >
+                      <div
+                        className="forecast-new"
+                        style={{ height: `${(day.newReviews / peak) * 100}%` }}
+                      />
+                      <div
+                        className="forecast-due"
+                        style={{ height: `${(day.due / peak) * 100}%` }}
+                      />
+                    </div>
+                  ));
+                })()}
+              </div>
+              <div className="forecast-axis">
+                <span>{forecast.days[0]?.date}</span>
+                <span>{forecast.days[forecast.days.length - 1]?.date}</span>
+              </div>
+            </>
+          )}
         </section>
       )}
 
@@ -989,6 +2708,102 @@ export default function App() {
                 }
               />
             </div>
+            {["learningSteps", "relearningSteps"].map((key) => (
+              <div key={key} className="settings-row">
+                <label htmlFor={`settings-${key}`}>
+                  {key === "learningSteps" ? "Learning steps" : "Relearning steps"}
+                </label>
+                <input
+                  id={`settings-${key}`}
+                  type="text"
+                  value={stepDrafts[key]}
+                  placeholder="1m 10m"
+                  onChange={(event) =>
+                    setStepDrafts((prev) => ({ ...prev, [key]: event.target.value }))
+                  }
+                  onBlur={() => commitSteps(key)}
+                />
+                <span className="settings-hint">
+                  {key === "learningSteps" ? "New cards" : "Lapsed cards"}, e.g. 1m 10m 1h
+                </span>
+              </div>
+            ))}
+            <div className="settings-row">
+              <label htmlFor="leech-threshold">Leech after lapses</label>
+              <input
+                id="leech-threshold"
+                type="number"
+                min={1}
+                max={30}
+                step={1}
+                value={settings.leechThreshold}
+                onChange={(event) =>
+                  setSettings((prev) => ({
+                    ...prev,
+                    leechThreshold: Math.max(1, Number(event.target.value || 8)),
+                  }))
+                }
+                onBlur={() => saveServerSettings({ leechThreshold: settings.leechThreshold })}
+              />
+              <select
+                value={settings.leechAction}
+                onChange={(event) => saveServerSettings({ leechAction: event.target.value })}
+              >
+                <option value="suspend">Suspend leeches</option>
+                <option value="tag">Tag only</option>
+              </select>
+            </div>
+            <div className="settings-row">
+              <label htmlFor="recognition-factor">Quiz and listening answers count for</label>
+              <input
+                id="recognition-factor"
+                type="number"
+                min={0.1}
+                max={1}
+                step={0.1}
+                value={settings.recognitionFactor}
+                onChange={(event) =>
+                  setSettings((prev) => ({
+                    ...prev,
+                    recognitionFactor: Math.min(1, Math.max(0.1, Number(event.target.value || 0.6))),
+                  }))
+                }
+                onBlur={() => saveServerSettings({ recognitionFactor: settings.recognitionFactor })}
+              />
+              <span className="settings-hint">of a recalled answer's interval</span>
+            </div>
+            <div className="settings-row">
+              <label htmlFor="time-zone">Time zone</label>
+              <input
+                id="time-zone"
+                type="text"
+                value={timeZoneDraft}
+                onChange={(event) => setTimeZoneDraft(event.target.value)}
+                onBlur={() => commitTimeZone(timeZoneDraft.trim())}
+              />
+              <button className="ghost" onClick={() => commitTimeZone(deviceTimeZone())}>
+                Use this device
+              </button>
+            </div>
+            <div className="settings-row">
+              <label htmlFor="day-start-hour">Next day starts at</label>
+              <input
+                id="day-start-hour"
+                type="number"
+                min={0}
+                max={23}
+                step={1}
+                value={settings.dayStartHour}
+                onChange={(event) =>
+                  setSettings((prev) => ({
+                    ...prev,
+                    dayStartHour: Math.min(23, Math.max(0, Number(event.target.value || 0))),
+                  }))
+                }
+                onBlur={() => saveServerSettings({ dayStartHour: settings.dayStartHour })}
+              />
+              <span className="settings-hint">hours past midnight</span>
+            </div>
             <div className="settings-row">
               <span>Review shows</span>
               <label className="toggle">
@@ -1021,6 +2836,114 @@ export default function App() {
                 />
                 <span>Romaji</span>
               </label>
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={settings.reverseSentence}
+                  onChange={(event) =>
+                    setSettings((prev) => ({ ...prev, reverseSentence: event.target.checked }))
+                  }
+                />
+                <span>Sentence on reverse cards</span>
+              </label>
+            </div>
+            <div className="settings-row">
+              <label className="toggle">
+                <input
+                  type="checkbox"
+                  checked={Boolean(settings.vacationStartedAt)}
+                  onChange={(event) => setVacation(event.target.checked)}
+                />
+                <span>Vacation mode</span>
+              </label>
+              <span className="settings-hint">
+                {settings.vacationStartedAt
+                  ? `Frozen since ${new Date(settings.vacationStartedAt).toLocaleDateString()}`
+                  : "Freezes the schedule while you are away"}
+              </span>
+            </div>
+            <div className="settings-row">
+              <label htmlFor="reschedule-days">Reschedule overdue over</label>
+              <input
+                id="reschedule-days"
+                type="number"
+                min={1}
+                max={90}
+                step={1}
+                value={rescheduleDays}
+                onChange={(event) =>
+                  setRescheduleDays(Math.min(90, Math.max(1, Number(event.target.value || 7))))
+                }
+              />
+              <span>days</span>
+              <button className="ghost" onClick={rescheduleOverdue}>
+                Reschedule
+              </button>
+              {rescheduleResult && <span className="settings-hint">{rescheduleResult}</span>}
+            </div>
+            <div className="settings-row">
+              <button
+                className="ghost"
+                onClick={runOptimizer}
+                disabled={optimizerReport?.status === "running"}
+              >
+                Optimise scheduler
+              </button>
+              {optimizerReport?.status === "running" && (
+                <span className="settings-hint">Fitting to your review history…</span>
+              )}
+              {optimizerReport?.status === "error" && (
+                <span className="settings-hint">{optimizerReport.message}</span>
+              )}
+              {optimizerReport?.status === "done" && (
+                <span className="settings-hint">
+                  {optimizerReport.scheduler.toUpperCase()} fitted on {optimizerReport.reviewCount}{" "}
+                  reviews · expected retention{" "}
+                  {formatPercent(optimizerReport.expectedRetention.before)} →{" "}
+                  {formatPercent(optimizerReport.expectedRetention.after)}
+                </span>
+              )}
+            </div>
+            <div className="settings-row">
+              <button className="ghost" onClick={buildVocabulary}>
+                Build vocabulary deck
+              </button>
+              {vocabularyResult && <span className="settings-hint">{vocabularyResult}</span>}
+            </div>
+            <div className="settings-row">
+              <label htmlFor="apkg-import">Import Anki package</label>
+              <input
+                id="apkg-import"
+                type="file"
+                accept=".apkg"
+                onChange={(event) => {
+                  importPackage(event.target.files?.[0]);
+                  event.target.value = "";
+                }}
+              />
+              <label className="level-check">
+                <input
+                  type="checkbox"
+                  checked={importHistory}
+                  onChange={(event) => setImportHistory(event.target.checked)}
+                />
+                <span>Bring over review history</span>
+              </label>
+              {importResult && <span className="settings-hint">{importResult}</span>}
+            </div>
+            <div className="settings-row">
+              <button className="ghost" onClick={exportPackage}>
+                Export Anki package
+              </button>
+              <label className="level-check">
+                <input
+                  type="checkbox"
+                  checked={exportScheduling}
+                  onChange={(event) => setExportScheduling(event.target.checked)}
+                />
+                <span>Include scheduling</span>
+              </label>
+              {exportResult && <span className="settings-hint">{exportResult}</span>}
             </div>
             <div className="settings-row">
               <button className="danger" onClick={resetProgress}>
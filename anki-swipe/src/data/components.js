@@ -0,0 +1,217 @@
+// Building blocks for the bundled kanji, in reading order. `radical` marks the
+// Kangxi radicals (and their common variant forms) the library can filter by.
+// `npm run import:components` in server/ loads a full KRADFILE instead.
+export const COMPONENTS = {
+  一: { meaning: "one", radical: true },
+  二: { meaning: "two", radical: true },
+  丨: { meaning: "line", radical: true },
+  丿: { meaning: "slash", radical: true },
+  人: { meaning: "person", radical: true },
+  亻: { meaning: "person", radical: true },
+  𠆢: { meaning: "person", radical: true },
+  儿: { meaning: "legs", radical: true },
+  八: { meaning: "eight", radical: true },
+  丷: { meaning: "horns", radical: true },
+  冂: { meaning: "upside-down box", radical: true },
+  冖: { meaning: "cover", radical: true },
+  刀: { meaning: "sword", radical: true },
+  刂: { meaning: "knife", radical: true },
+  "⺈": { meaning: "knife", radical: true },
+  力: { meaning: "power", radical: true },
+  匚: { meaning: "box", radical: true },
+  卜: { meaning: "divination", radical: true },
+  厶: { meaning: "private", radical: true },
+  又: { meaning: "again", radical: true },
+  口: { meaning: "mouth", radical: true },
+  囗: { meaning: "enclosure", radical: true },
+  土: { meaning: "earth", radical: true },
+  夂: { meaning: "go slowly", radical: true },
+  夕: { meaning: "evening", radical: true },
+  大: { meaning: "big", radical: true },
+  女: { meaning: "woman", radical: true },
+  子: { meaning: "child", radical: true },
+  宀: { meaning: "roof", radical: true },
+  小: { meaning: "small", radical: true },
+  "⺍": { meaning: "little", radical: true },
+  "⺌": { meaning: "little", radical: true },
+  山: { meaning: "mountain", radical: true },
+  川: { meaning: "river", radical: true },
+  工: { meaning: "craft", radical: true },
+  己: { meaning: "self", radical: true },
+  干: { meaning: "dry", radical: true },
+  弓: { meaning: "bow", radical: true },
+  彳: { meaning: "step", radical: true },
+  心: { meaning: "heart", radical: true },
+  忄: { meaning: "heart", radical: true },
+  戈: { meaning: "halberd", radical: true },
+  手: { meaning: "hand", radical: true },
+  扌: { meaning: "hand", radical: true },
+  攵: { meaning: "strike", radical: true },
+  斤: { meaning: "axe", radical: true },
+  方: { meaning: "direction", radical: true },
+  日: { meaning: "sun", radical: true },
+  月: { meaning: "moon", radical: true },
+  木: { meaning: "tree", radical: true },
+  欠: { meaning: "yawn", radical: true },
+  止: { meaning: "stop", radical: true },
+  歹: { meaning: "death", radical: true },
+  水: { meaning: "water", radical: true },
+  氵: { meaning: "water", radical: true },
+  火: { meaning: "fire", radical: true },
+  灬: { meaning: "fire", radical: true },
+  "⺤": { meaning: "claw", radical: true },
+  犭: { meaning: "dog", radical: true },
+  玉: { meaning: "jewel", radical: true },
+  生: { meaning: "life", radical: true },
+  田: { meaning: "rice field", radical: true },
+  疒: { meaning: "sickness", radical: true },
+  目: { meaning: "eye", radical: true },
+  矢: { meaning: "arrow", radical: true },
+  礻: { meaning: "altar", radical: true },
+  禾: { meaning: "grain", radical: true },
+  立: { meaning: "stand", radical: true },
+  糸: { meaning: "thread", radical: true },
+  罒: { meaning: "net", radical: true },
+  耂: { meaning: "old", radical: true },
+  耳: { meaning: "ear", radical: true },
+  聿: { meaning: "brush", radical: true },
+  舌: { meaning: "tongue", radical: true },
+  艹: { meaning: "grass", radical: true },
+  虫: { meaning: "insect", radical: true },
+  衤: { meaning: "clothing", radical: true },
+  言: { meaning: "say", radical: true },
+  貝: { meaning: "shell", radical: true },
+  走: { meaning: "run", radical: true },
+  辶: { meaning: "road", radical: true },
+  金: { meaning: "gold", radical: true },
+  門: { meaning: "gate", radical: true },
+  阝: { meaning: "mound", radical: true },
+  隹: { meaning: "small bird", radical: true },
+  飠: { meaning: "eat", radical: true },
+  馬: { meaning: "horse", radical: true },
+  亠: { meaning: "lid", radical: true },
+  亍: { meaning: "walk" },
+  主: { meaning: "master" },
+  代: { meaning: "substitute" },
+  共: { meaning: "together" },
+  免: { meaning: "excuse" },
+  北: { meaning: "north" },
+  台: { meaning: "platform" },
+  可: { meaning: "possible" },
+  吉: { meaning: "good luck" },
+  吏: { meaning: "officer" },
+  咸: { meaning: "all" },
+  寺: { meaning: "temple" },
+  尺: { meaning: "measure" },
+  巳: { meaning: "snake" },
+  亦: { meaning: "also" },
+  云: { meaning: "cloud" },
+  丙: { meaning: "third" },
+  冬: { meaning: "winter" },
+  売: { meaning: "sell" },
+  昔: { meaning: "long ago" },
+  本: { meaning: "origin" },
+  楽: { meaning: "music" },
+  良: { meaning: "good" },
+  袁: { meaning: "robe" },
+  軍: { meaning: "army" },
+};
+
+export const KANJI_COMPONENTS = {
+  一: ["一"],
+  二: ["二"],
+  三: ["一", "二"],
+  日: ["日"],
+  月: ["月"],
+  火: ["火"],
+  水: ["水"],
+  木: ["木"],
+  金: ["金"],
+  土: ["土"],
+  人: ["人"],
+  山: ["山"],
+  川: ["川"],
+  田: ["田"],
+  大: ["大"],
+  小: ["小"],
+  中: ["口", "丨"],
+  上: ["卜", "一"],
+  下: ["一", "卜"],
+  左: ["一", "丿", "工"],
+  右: ["一", "丿", "口"],
+  口: ["口"],
+  目: ["目"],
+  耳: ["耳"],
+  手: ["手"],
+  足: ["口", "止"],
+  男: ["田", "力"],
+  女: ["女"],
+  子: ["子"],
+  学: ["⺍", "冖", "子"],
+  生: ["生"],
+  先: ["丿", "土", "儿"],
+  私: ["禾", "厶"],
+  今: ["人", "一"],
+  何: ["亻", "可"],
+  年: ["丿", "干"],
+  時: ["日", "寺"],
+  分: ["八", "刀"],
+  半: ["丷", "二", "丨"],
+  行: ["彳", "亍"],
+  来: ["丷", "一", "木"],
+  見: ["目", "儿"],
+  食: ["人", "良"],
+  飲: ["飠", "欠"],
+  話: ["言", "舌"],
+  読: ["言", "売"],
+  書: ["聿", "日"],
+  友: ["一", "丿", "又"],
+  名: ["夕", "口"],
+  国: ["囗", "玉"],
+  本: ["木", "一"],
+  未: ["一", "木"],
+  末: ["一", "木"],
+  休: ["亻", "木"],
+  会: ["人", "云"],
+  社: ["礻", "土"],
+  新: ["立", "木", "斤"],
+  聞: ["門", "耳"],
+  思: ["田", "心"],
+  走: ["土", "止"],
+  起: ["走", "己"],
+  強: ["弓", "厶", "虫"],
+  高: ["亠", "口", "冂"],
+  安: ["宀", "女"],
+  多: ["夕"],
+  使: ["亻", "吏"],
+  教: ["土", "子", "攵"],
+  終: ["糸", "冬"],
+  始: ["女", "台"],
+  勉: ["免", "力"],
+  病: ["疒", "丙"],
+  乗: ["丿", "北", "木"],
+  体: ["亻", "本"],
+  旅: ["方", "⺈"],
+  駅: ["馬", "尺"],
+  薬: ["艹", "楽"],
+  医: ["匚", "矢"],
+  族: ["方", "⺈", "矢"],
+  遠: ["辶", "袁"],
+  近: ["辶", "斤"],
+  借: ["亻", "昔"],
+  貸: ["代", "貝"],
+  住: ["亻", "主"],
+  台: ["厶", "口"],
+  進: ["辶", "隹"],
+  選: ["辶", "巳", "共"],
+  伝: ["亻", "云"],
+  経: ["糸", "又", "土"],
+  感: ["咸", "心"],
+  必: ["心", "丿"],
+  変: ["亦", "夂"],
+  結: ["糸", "吉"],
+  由: ["田", "丨"],
+  残: ["歹", "戈"],
+  受: ["⺤", "冖", "又"],
+  運: ["辶", "軍"],
+};
@@ -0,0 +1,29 @@
+// Look-alike pairs learners mix up. Pairs whose characters aren't cards in
+// any deck are skipped when seeding; more are added automatically from
+// repeated wrong answers.
+export const CONFUSABLE_PAIRS = [
+  ["シ", "ツ"],
+  ["ソ", "ン"],
+  ["ク", "タ"],
+  ["ウ", "ワ"],
+  ["コ", "ユ"],
+  ["チ", "テ"],
+  ["ノ", "メ"],
+  ["わ", "れ"],
+  ["ね", "れ"],
+  ["る", "ろ"],
+  ["は", "ほ"],
+  ["あ", "お"],
+  ["さ", "ち"],
+  ["ぬ", "め"],
+  ["い", "り"],
+  ["未", "末"],
+  ["土", "士"],
+  ["人", "入"],
+  ["日", "目"],
+  ["大", "犬"],
+  ["右", "石"],
+  ["千", "干"],
+  ["木", "本"],
+  ["休", "体"],
+];
@@ -1383,6 +1383,51 @@ export const KANJI_LEVELS = [
           grammarNotes: ["を is read as 'o' as the object marker."],
         },
       },
+      {
+        id: "n5-入",
+        script: "入",
+        meaning: "enter, insert",
+        onyomi: "ニュウ",
+        kunyomi: "い.る, はい.る, い.れる",
+        romaji: "nyuu / hairu, ireru",
+        order: 49,
+        example: {
+          sentence: "部屋に入ります。",
+          reading: "へやにはいります。",
+          readingReason: "入 is read as はい in 入る (to enter).",
+          romaji: "Heya ni hairimasu.",
+          translation: "I enter the room.",
+          breakdown: [
+            { jp: "部屋", romaji: "heya", meaning: "room" },
+            { jp: "に", romaji: "ni", meaning: "into" },
+            { jp: "入ります", romaji: "hairimasu", meaning: "enter (polite)" },
+          ],
+          grammarNotes: ["に marks where you go in."],
+        },
+      },
+      {
+        id: "n5-休",
+        script: "休",
+        meaning: "rest",
+        onyomi: "キュウ",
+        kunyomi: "やす.む, やす.み",
+        romaji: "kyuu / yasumu",
+        order: 50,
+        example: {
+          sentence: "日曜日は休みです。",
+          reading: "にちようびはやすみです。",
+          readingReason: "休 is read as やす in 休み (day off).",
+          romaji: "Nichiyoubi wa yasumi desu.",
+          translation: "Sunday is a day off.",
+          breakdown: [
+            { jp: "日曜日", romaji: "nichiyoubi", meaning: "Sunday" },
+            { jp: "は", romaji: "wa", meaning: "topic marker" },
+            { jp: "休み", romaji: "yasumi", meaning: "day off" },
+            { jp: "です", romaji: "desu", meaning: "is" },
+          ],
+          grammarNotes: ["は is read as 'wa' as the topic marker."],
+        },
+      },
     ],
   },
   {
@@ -2041,6 +2086,50 @@ export const KANJI_LEVELS = [
           grammarNotes: ["が marks the subject."],
         },
       },
+      {
+        id: "n4-犬",
+        script: "犬",
+        meaning: "dog",
+        onyomi: "ケン",
+        kunyomi: "いぬ",
+        romaji: "ken / inu",
+        example: {
+          sentence: "犬と散歩します。",
+          reading: "いぬとさんぽします。",
+          readingReason: "犬 is read as いぬ on its own.",
+          romaji: "Inu to sanpo shimasu.",
+          translation: "I go for a walk with the dog.",
+          breakdown: [
+            { jp: "犬", romaji: "inu", meaning: "dog" },
+            { jp: "と", romaji: "to", meaning: "with" },
+            { jp: "散歩します", romaji: "sanpo shimasu", meaning: "take a walk (polite)" },
+          ],
+          grammarNotes: ["と marks who you do something with."],
+        },
+      },
+      {
+        id: "n4-石",
+        script: "石",
+        meaning: "stone",
+        onyomi: "セキ, シャク",
+        kunyomi: "いし",
+        romaji: "seki, shaku / ishi",
+        example: {
+          sentence: "川で石を拾いました。",
+          reading: "かわでいしをひろいました。",
+          readingReason: "石 is read as いし on its own.",
+          romaji: "Kawa de ishi o hiroimashita.",
+          translation: "I picked up a stone at the river.",
+          breakdown: [
+            { jp: "川", romaji: "kawa", meaning: "river" },
+            { jp: "で", romaji: "de", meaning: "at" },
+            { jp: "石", romaji: "ishi", meaning: "stone" },
+            { jp: "を", romaji: "o", meaning: "object marker" },
+            { jp: "拾いました", romaji: "hiroimashita", meaning: "picked up" },
+          ],
+          grammarNotes: ["で marks where an action happens."],
+        },
+      },
     ],
   },
   {
@@ -2303,6 +2392,74 @@ export const KANJI_LEVELS = [
           grammarNotes: ["は is read as 'wa' as the topic marker."],
         },
       },
+      {
+        id: "n3-未",
+        script: "未",
+        meaning: "not yet",
+        onyomi: "ミ",
+        kunyomi: "いま.だ, ま.だ",
+        romaji: "mi / imada, mada",
+        example: {
+          sentence: "未来のことを考えます。",
+          reading: "みらいのことをかんがえます。",
+          readingReason: "未 is read as み in 未来 (future).",
+          romaji: "Mirai no koto o kangaemasu.",
+          translation: "I think about the future.",
+          breakdown: [
+            { jp: "未来", romaji: "mirai", meaning: "future" },
+            { jp: "の", romaji: "no", meaning: "possessive" },
+            { jp: "こと", romaji: "koto", meaning: "thing" },
+            { jp: "を", romaji: "o", meaning: "object marker" },
+            { jp: "考えます", romaji: "kangaemasu", meaning: "think (polite)" },
+          ],
+          grammarNotes: ["こと turns what comes before it into a thing to talk about."],
+        },
+      },
+      {
+        id: "n3-末",
+        script: "末",
+        meaning: "end",
+        onyomi: "マツ, バツ",
+        kunyomi: "すえ",
+        romaji: "matsu, batsu / sue",
+        example: {
+          sentence: "週末に映画を見ます。",
+          reading: "しゅうまつにえいがをみます。",
+          readingReason: "末 is read as まつ in 週末 (weekend).",
+          romaji: "Shuumatsu ni eiga o mimasu.",
+          translation: "I watch a movie on the weekend.",
+          breakdown: [
+            { jp: "週末", romaji: "shuumatsu", meaning: "weekend" },
+            { jp: "に", romaji: "ni", meaning: "on" },
+            { jp: "映画", romaji: "eiga", meaning: "movie" },
+            { jp: "を", romaji: "o", meaning: "object marker" },
+            { jp: "見ます", romaji: "mimasu", meaning: "watch (polite)" },
+          ],
+          grammarNotes: ["に marks when something happens."],
+        },
+      },
+      {
+        id: "n3-士",
+        script: "士",
+        meaning: "gentleman, samurai",
+        onyomi: "シ",
+        kunyomi: "",
+        romaji: "shi",
+        example: {
+          sentence: "兄は弁護士です。",
+          reading: "あにはべんごしです。",
+          readingReason: "士 is read as し in 弁護士 (lawyer).",
+          romaji: "Ani wa bengoshi desu.",
+          translation: "My older brother is a lawyer.",
+          breakdown: [
+            { jp: "兄", romaji: "ani", meaning: "older brother" },
+            { jp: "は", romaji: "wa", meaning: "topic marker" },
+            { jp: "弁護士", romaji: "bengoshi", meaning: "lawyer" },
+            { jp: "です", romaji: "desu", meaning: "is" },
+          ],
+          grammarNotes: ["士 ends many job titles, like 弁護士 and 運転士."],
+        },
+      },
     ],
   },
   { id: "N2", label: "JLPT N2", cards: [] },
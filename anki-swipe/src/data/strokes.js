@@ -0,0 +1,38 @@
+// KanjiVG-style stroke paths (109×109, one path per stroke in order) for a
+// starter set of kanji. `npm run import:strokes` in server/ loads the full
+// KanjiVG set.
+export const STROKES = {
+  一: ["M12,55c5,0.8,11,0.8,17,0.4c19-1,45-2.6,68-2.8"],
+  二: [
+    "M25,33c3,0.7,6,0.8,9,0.5c12-1,28-2.4,40-2.6",
+    "M13,80c4,0.8,9,0.9,14,0.5c20-1.3,46-3,68-3.2",
+  ],
+  三: [
+    "M22,24c3,0.6,6,0.7,9,0.4c14-1.1,32-2.4,46-2.6",
+    "M28,54c3,0.6,6,0.6,9,0.4c10-0.8,22-1.7,32-1.8",
+    "M13,86c4,0.8,9,0.9,14,0.5c20-1.3,46-3,68-3.2",
+  ],
+  十: [
+    "M12,53c4,0.7,8,0.8,12,0.5c20-1.3,48-3.2,72-3.3",
+    "M52,13c1.2,1,2,3,2,5c0,12,0,65,0,80",
+  ],
+  口: [
+    "M24,28c1,1,1.5,2.5,1.7,4c1,10,3,40,4,56",
+    "M27,30c16-1.5,38-3.2,53-3.8c3-0.1,4.5,1.6,4.2,4c-1,10-3,38-4.5,54",
+    "M30,82c12-0.8,35-2,50-2.4",
+  ],
+  川: [
+    "M32,20c0.5,1.5,0.6,3.5,0.5,5c-0.6,20-3,45-13,62",
+    "M54,26c0.8,1.2,1.2,3,1.2,4.6c0,14,0,32,0,46",
+    "M80,16c1,1,1.6,3,1.6,4.6c0,24,0,56,0,76",
+  ],
+  山: [
+    "M53,14c1,1,1.5,2.8,1.5,4.5c0,20,0,50,0,66",
+    "M22,43c1,1,1.6,2.5,1.7,4c0.6,12,1.5,30,2,40c0.2,2.6,2,3.4,4.5,3.2c16-0.8,40-2,56-2.6",
+    "M86,40c1,1,1.5,2.6,1.4,4.4c-0.3,14-1,32-1.4,46",
+  ],
+  人: [
+    "M52,14c0.2,2,0.3,5-0.2,8c-3,20-16,48-35,68",
+    "M52,38c7,14,18,34,38,50c2.5,2,5,3,8,3.5",
+  ],
+};
@@ -0,0 +1,21 @@
+import { readingFromRomaji } from "./kana.js";
+
+// Shared by the client and the server: a card has a cloze only if a
+// breakdown token containing the kanji can be found in its example sentence.
+export const clozeFor = (example, kanji) => {
+  if (!example?.sentence || !kanji) return null;
+  const token = (example.breakdown ?? []).find((item) => item?.jp?.includes(kanji));
+  if (!token) return null;
+  const index = example.sentence.indexOf(token.jp);
+  if (index === -1) return null;
+
+  return {
+    before: example.sentence.slice(0, index),
+    after: example.sentence.slice(index + token.jp.length),
+    word: token.jp,
+    romaji: token.romaji ?? "",
+    reading: readingFromRomaji(token.romaji),
+    meaning: token.meaning,
+    translation: example.translation,
+  };
+};
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { clozeFor } from "./cloze.js";
+import { readingFromRomaji } from "./kana.js";
+import { buildQuizQuestion } from "./quiz.js";
+import { checkCloze } from "./typedAnswer.js";
+
+const example = {
+  sentence: "三時に運動します。",
+  translation: "I exercise at three o'clock.",
+  breakdown: [
+    { jp: "三時", romaji: "san-ji", meaning: "three o'clock" },
+    { jp: "運動", romaji: "undō", meaning: "exercise" },
+  ],
+};
+
+test("readingFromRomaji joins separators and spells out macrons", () => {
+  const cases = [
+    ["san-ji", "さんじ"],
+    ["undō", "うんどう"],
+    ["Tōkyō", "とうきょう"],
+    ["undou shimasu", "うんどうします"],
+    ["san-in", "さんいん"],
+    ["onēsan", "おねえさん"],
+  ];
+  for (const [romaji, kana] of cases) assert.equal(readingFromRomaji(romaji), kana, romaji);
+});
+
+test("clozeFor blanks the breakdown word holding the kanji", () => {
+  assert.deepEqual(clozeFor(example, "時"), {
+    before: "",
+    after: "に運動します。",
+    word: "三時",
+    romaji: "san-ji",
+    reading: "さんじ",
+    meaning: "three o'clock",
+    translation: example.translation,
+  });
+  assert.equal(clozeFor(example, "動").reading, "うんどう");
+  assert.equal(clozeFor(example, "水"), null);
+});
+
+test("checkCloze takes the word or its reading", () => {
+  const cloze = clozeFor(example, "動");
+  for (const input of ["運動", "undou", "うんどう"]) assert.equal(checkCloze(cloze, input), true);
+  assert.equal(checkCloze(cloze, "動"), false);
+});
+
+test("the quiz cloze hides the whole word and offers look-alike spellings", () => {
+  const card = {
+    id: "kanji-時",
+    script: "時",
+    meaning: "time",
+    template: "cloze",
+    example,
+    distractors: [
+      { id: "kanji-持", script: "持" },
+      { id: "kanji-特", script: "特" },
+    ],
+  };
+  const question = buildQuizQuestion(card, () => 0.3);
+  assert.equal(question.kind, "cloze");
+  assert.equal(question.prompt, "＿＿に運動します。");
+  assert.deepEqual(question.choices.map((choice) => choice.label).sort(), ["三持", "三時", "三特"]);
+  assert.equal(question.choices.find((choice) => choice.correct).label, "三時");
+});
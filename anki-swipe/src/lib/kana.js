@@ -0,0 +1,164 @@
+// Romaji to hiragana conversion that works on partially typed input: kana
+// already in the string is left alone, so it can run on every keystroke.
+
+const VOWELS = "aiueo";
+
+const BASE = {
+  a: "あ", i: "い", u: "う", e: "え", o: "お",
+  ka: "か", ki: "き", ku: "く", ke: "け", ko: "こ",
+  ga: "が", gi: "ぎ", gu: "ぐ", ge: "げ", go: "ご",
+  sa: "さ", si: "し", shi: "し", su: "す", se: "せ", so: "そ",
+  za: "ざ", zi: "じ", ji: "じ", zu: "ず", ze: "ぜ", zo: "ぞ",
+  ta: "た", ti: "ち", chi: "ち", tu: "つ", tsu: "つ", te: "て", to: "と",
+  da: "だ", di: "ぢ", du: "づ", dzu: "づ", de: "で", do: "ど",
+  na: "な", ni: "に", nu: "ぬ", ne: "ね", no: "の",
+  ha: "は", hi: "ひ", hu: "ふ", fu: "ふ", he: "へ", ho: "ほ",
+  ba: "ば", bi: "び", bu: "ぶ", be: "べ", bo: "ぼ",
+  pa: "ぱ", pi: "ぴ", pu: "ぷ", pe: "ぺ", po: "ぽ",
+  ma: "ま", mi: "み", mu: "む", me: "め", mo: "も",
+  ya: "や", yu: "ゆ", yo: "よ",
+  ra: "ら", ri: "り", ru: "る", re: "れ", ro: "ろ",
+  wa: "わ", wi: "ゐ", we: "ゑ", wo: "を",
+  vu: "ゔ",
+  xa: "ぁ", xi: "ぃ", xu: "ぅ", xe: "ぇ", xo: "ぉ",
+  la: "ぁ", li: "ぃ", lu: "ぅ", le: "ぇ", lo: "ぉ",
+  xya: "ゃ", xyu: "ゅ", xyo: "ょ", lya: "ゃ", lyu: "ゅ", lyo: "ょ",
+  xtu: "っ", xtsu: "っ", ltu: "っ", ltsu: "っ",
+  fa: "ふぁ", fi: "ふぃ", fe: "ふぇ", fo: "ふぉ",
+  sha: "しゃ", shu: "しゅ", she: "しぇ", sho: "しょ",
+  cha: "ちゃ", chu: "ちゅ", che: "ちぇ", cho: "ちょ",
+  ja: "じゃ", ju: "じゅ", je: "じぇ", jo: "じょ",
+  tsa: "つぁ", thi: "てぃ", dhi: "でぃ",
+};
+
+// ky + a -> きゃ and friends.
+const YOON_ROWS = {
+  ky: "き", gy: "ぎ", sy: "し", zy: "じ", jy: "じ", ty: "ち", cy: "ち", dy: "ぢ",
+  ny: "に", hy: "ひ", by: "び", py: "ぴ", my: "み", ry: "り",
+};
+const YOON_ENDINGS = { a: "ゃ", u: "ゅ", o: "ょ" };
+
+const TABLE = { ...BASE };
+for (const [row, kana] of Object.entries(YOON_ROWS)) {
+  for (const [vowel, small] of Object.entries(YOON_ENDINGS)) {
+    TABLE[`${row}${vowel}`] = `${kana}${small}`;
+  }
+}
+
+const MAX_CHUNK = Math.max(...Object.keys(TABLE).map((key) => key.length));
+
+const isLetter = (char) => char >= "a" && char <= "z";
+
+const isPrefix = (chunk) => Object.keys(TABLE).some((key) => key.startsWith(chunk));
+
+// With `final` a trailing "n" or "nn" becomes ん and unfinished syllables are
+// dropped into the result as they are; without it they stay as romaji so typing
+// can continue.
+export const romajiToKana = (input, { final = false } = {}) => {
+  const text = String(input ?? "").toLowerCase();
+  let result = "";
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    const next = text[index + 1];
+
+    if (!isLetter(char)) {
+      result += char === "-" ? "ー" : char;
+      index += 1;
+      continue;
+    }
+
+    if (char === "n") {
+      if (next === "'") {
+        result += "ん";
+        index += 2;
+        continue;
+      }
+      if (next === "n") {
+        const after = text[index + 2];
+        // "nn" may still be the ん of "onna"; wait for the next letter.
+        if (after === undefined && !final) {
+          result += "nn";
+          break;
+        }
+        result += "ん";
+        index += after && (VOWELS.includes(after) || after === "y") ? 1 : 2;
+        continue;
+      }
+      if (next === undefined) {
+        result += final ? "ん" : "n";
+        index += 1;
+        continue;
+      }
+      if (isLetter(next) && !VOWELS.includes(next) && next !== "y") {
+        result += "ん";
+        index += 1;
+        continue;
+      }
+    }
+
+    if (char === next && !VOWELS.includes(char)) {
+      result += "っ";
+      index += 1;
+      continue;
+    }
+
+    let matched = false;
+    for (let size = MAX_CHUNK; size > 0; size -= 1) {
+      const chunk = text.slice(index, index + size);
+      if (chunk.length === size && TABLE[chunk]) {
+        result += TABLE[chunk];
+        index += size;
+        matched = true;
+        break;
+      }
+    }
+    if (matched) continue;
+
+    const rest = text.slice(index);
+    if (!final && isPrefix(rest)) {
+      result += rest;
+      break;
+    }
+    result += char;
+    index += 1;
+  }
+
+  return result;
+};
+
+const MACRONS = {
+  ā: "aa", ī: "ii", ū: "uu", ē: "ee", ō: "ou",
+  â: "aa", î: "ii", û: "uu", ê: "ee", ô: "ou",
+};
+
+// Dictionary romaji: "san-ji" and "undō shimasu" each spell one word, and a
+// separator after n keeps syllables like san-in apart.
+export const readingFromRomaji = (romaji) =>
+  romajiToKana(
+    String(romaji ?? "")
+      .toLowerCase()
+      .replace(/[āīūēōâîûêô]/g, (char) => MACRONS[char])
+      .replace(/n[\s-]+/g, "n'")
+      .replace(/[\s-]+/g, ""),
+    { final: true }
+  );
+
+const KATAKANA_START = 0x30a1;
+const KATAKANA_END = 0x30f6;
+const KANA_OFFSET = 0x60;
+
+export const toHiragana = (text) =>
+  Array.from(String(text ?? ""), (char) => {
+    const code = char.charCodeAt(0);
+    return code >= KATAKANA_START && code <= KATAKANA_END
+      ? String.fromCharCode(code - KANA_OFFSET)
+      : char;
+  }).join("");
+
+export const toKatakana = (text) =>
+  Array.from(String(text ?? ""), (char) => {
+    const code = char.charCodeAt(0) + KANA_OFFSET;
+    return code >= KATAKANA_START && code <= KATAKANA_END ? String.fromCharCode(code) : char;
+  }).join("");
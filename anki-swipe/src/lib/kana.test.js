@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { romajiToKana, toHiragana, toKatakana } from "./kana.js";
+
+// Feeds the input back in one letter at a time, the way the typed card does.
+const typeOut = (romaji) => {
+  let value = "";
+  for (const char of romaji) value = romajiToKana(value + char);
+  return romajiToKana(value, { final: true });
+};
+
+const WORDS = [
+  ["kanji", "かんじ"],
+  ["onna", "おんな"],
+  ["minna", "みんな"],
+  ["konnichiha", "こんにちは"],
+  ["sannin", "さんにん"],
+  ["san'nin", "さんにん"],
+  ["kin'en", "きんえん"],
+  ["shinbun", "しんぶん"],
+  ["hon", "ほん"],
+  ["gakkou", "がっこう"],
+  ["ryokou", "りょこう"],
+  ["chotto", "ちょっと"],
+  ["fune", "ふね"],
+];
+
+test("romajiToKana converts whole words", () => {
+  for (const [romaji, kana] of WORDS) {
+    assert.equal(romajiToKana(romaji, { final: true }), kana, romaji);
+  }
+});
+
+test("romajiToKana gives the same kana when typed letter by letter", () => {
+  for (const [romaji, kana] of WORDS) assert.equal(typeOut(romaji), kana, romaji);
+});
+
+test("romajiToKana keeps unfinished syllables until the input is final", () => {
+  assert.equal(romajiToKana("ky"), "ky");
+  assert.equal(romajiToKana("hon"), "ほn");
+  assert.equal(romajiToKana("onn"), "おnn");
+  assert.equal(romajiToKana("onn", { final: true }), "おん");
+});
+
+test("toHiragana and toKatakana swap scripts and leave the rest alone", () => {
+  assert.equal(toHiragana("カタカナ"), "かたかな");
+  assert.equal(toHiragana("ラーメン"), "らーめん");
+  assert.equal(toKatakana("しゃ"), "シャ");
+  assert.equal(toKatakana(romajiToKana("tsu", { final: true })), "ツ");
+  assert.equal(toKatakana("らーめん!"), "ラーメン!");
+});
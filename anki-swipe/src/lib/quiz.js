@@ -0,0 +1,87 @@
+import { clozeFor } from "./cloze.js";
+
+const shuffle = (list, random) => {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const readingLabel = (card) =>
+  card.reading ?? [card.onyomi, card.kunyomi].filter(Boolean).join(" / ");
+
+// What the prompt shows and which field the choices are drawn from.
+const QUESTION_KINDS = {
+  meaning: { title: "Meaning", prompt: (card) => card.script, answer: (card) => card.meaning },
+  reading: { title: "Reading", prompt: (card) => card.script, answer: readingLabel },
+  kanji: { title: "Kanji", prompt: (card) => card.meaning, answer: (card) => card.script },
+  sound: { title: "Sound", prompt: (card) => card.script, answer: (card) => card.romaji },
+  sentence: {
+    title: "Sentence meaning",
+    prompt: (card) => card.example.sentence,
+    answer: (card) => card.example?.translation,
+  },
+  // The blank covers the whole word; wrong choices are that word written with
+  // another kanji in place of the card's.
+  cloze: {
+    title: "Word",
+    prompt: (card) => {
+      const { before, word, after } = clozeFor(card.example, card.script);
+      return `${before}${"＿".repeat(word.length)}${after}`;
+    },
+    answer: (choice, card) =>
+      choice.script &&
+      clozeFor(card.example, card.script).word.split(card.script).join(choice.script),
+  },
+};
+
+const pickKind = (card, random) => {
+  if (!card.meaning) return "sound";
+  if (card.template === "reverse") return "kanji";
+  if (card.template === "cloze" && clozeFor(card.example, card.script)) return "cloze";
+  return random() < 0.5 ? "meaning" : "reading";
+};
+
+const buildQuestion = (card, kind, random) => {
+  const { title, prompt, answer } = QUESTION_KINDS[kind];
+  const correct = answer(card, card);
+  const seen = new Set([correct]);
+  const wrong = [];
+  for (const other of card.distractors ?? []) {
+    const label = answer(other, card);
+    if (!label || seen.has(label)) continue;
+    seen.add(label);
+    wrong.push({ id: other.id, label, correct: false });
+  }
+
+  return {
+    kind,
+    title,
+    prompt: prompt(card),
+    choices: shuffle([{ id: card.id, label: correct, correct: true }, ...wrong], random),
+  };
+};
+
+export const buildQuizQuestion = (card, random = Math.random) =>
+  buildQuestion(card, pickKind(card, random), random);
+
+// Plays the example sentence and asks what it means or which kanji was in it.
+// Without a sentence (or other sentences to pick from) it plays the word or
+// kana itself and asks for the kanji or its meaning.
+const listeningKind = (card, random) => {
+  if (!card.meaning) return "sound";
+  const hasSentences =
+    card.example?.translation && card.distractors?.some((other) => other.example?.translation);
+  const kinds = hasSentences ? ["sentence", "kanji"] : ["kanji", "meaning"];
+  return kinds[Math.floor(random() * kinds.length)];
+};
+
+export const buildListeningQuestion = (card, random = Math.random) => {
+  const kind = listeningKind(card, random);
+  return {
+    ...buildQuestion(card, kind, random),
+    audio: card.example?.reading || card.reading || card.script,
+  };
+};
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildListeningQuestion } from "./quiz.js";
+
+const card = {
+  id: "kanji-雨",
+  script: "雨",
+  meaning: "rain",
+  example: { sentence: "雨が降る。", reading: "あめがふる。", translation: "It rains." },
+  distractors: [
+    { id: "kanji-雪", script: "雪", meaning: "snow", example: { translation: "It snows." } },
+    { id: "kanji-雲", script: "雲", meaning: "cloud", example: null },
+  ],
+};
+
+test("listening can ask for the meaning of the sentence that was played", () => {
+  const question = buildListeningQuestion(card, () => 0);
+  assert.equal(question.kind, "sentence");
+  assert.equal(question.audio, "あめがふる。");
+  assert.deepEqual(question.choices.map((choice) => choice.label).sort(), [
+    "It rains.",
+    "It snows.",
+  ]);
+});
+
+test("listening falls back to the kanji or meaning without other sentences", () => {
+  const lonely = { ...card, distractors: card.distractors.slice(1) };
+  assert.equal(buildListeningQuestion(lonely, () => 0).kind, "kanji");
+  assert.equal(buildListeningQuestion(lonely, () => 0.9).kind, "meaning");
+  assert.equal(buildListeningQuestion(card, () => 0.9).kind, "kanji");
+});
@@ -0,0 +1,129 @@
+// Shared by the client and the server so both agree on what "due today" means.
+// A review day starts at `dayStartHour` o'clock in `timeZone`, not at midnight UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_DAY_OPTIONS = { timeZone: "UTC", dayStartHour: 4 };
+export const MINUTE_STATES = ["learning", "relearning"];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const zonedParts = (time, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(time));
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour") % 24,
+    minute: get("minute"),
+    second: get("second"),
+  };
+};
+
+const zoneOffset = (time, timeZone) => {
+  const parts = zonedParts(time, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(time / 1000) * 1000;
+};
+
+// Converts a wall-clock hour in `timeZone` to a timestamp. The second pass
+// corrects for a DST change between the guess and the answer. An hour the
+// clocks skip resolves to the first hour after the skip.
+const fromZoned = (year, month, day, hour, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const first = guess - zoneOffset(guess, timeZone);
+  const second = guess - zoneOffset(first, timeZone);
+  return zonedParts(second, timeZone).hour === hour ? second : Math.max(first, second);
+};
+
+const resolveOptions = (options = {}) => ({
+  timeZone: isValidTimeZone(options.timeZone)
+    ? options.timeZone
+    : DEFAULT_DAY_OPTIONS.timeZone,
+  dayStartHour: Number.isInteger(options.dayStartHour)
+    ? options.dayStartHour
+    : DEFAULT_DAY_OPTIONS.dayStartHour,
+});
+
+// Read from the local hour rather than by shifting the time, so days that are
+// 23 or 25 hours long still start when startOfReviewDay says they do.
+const reviewDate = (time, options) => {
+  const { timeZone, dayStartHour } = resolveOptions(options);
+  const { year, month, day, hour } = zonedParts(time, timeZone);
+  const date = new Date(Date.UTC(year, month - 1, hour < dayStartHour ? day - 1 : day));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+export const startOfReviewDay = (time, options, offsetDays = 0) => {
+  const { timeZone, dayStartHour } = resolveOptions(options);
+  const { year, month, day } = reviewDate(time, options);
+  const target = new Date(Date.UTC(year, month - 1, day + offsetDays));
+  return fromZoned(
+    target.getUTCFullYear(),
+    target.getUTCMonth() + 1,
+    target.getUTCDate(),
+    dayStartHour,
+    timeZone
+  );
+};
+
+export const nextDayBoundary = (time, options) => startOfReviewDay(time, options, 1);
+
+export const reviewDayKey = (time, options) => {
+  const { year, month, day } = reviewDate(time, options);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+// Whole review days from the day containing `from` to the day containing `time`.
+export const reviewDaysBetween = (from, time, options) => {
+  const a = reviewDate(from, options);
+  const b = reviewDate(time, options);
+  return Math.round(
+    (Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / DAY_MS
+  );
+};
+
+// Cards in minute-level learning steps are due at their exact time; everything
+// else is due for the whole review day its due date falls on.
+export const isDueToday = (reviewCard, options, at = Date.now()) => {
+  const dueAt = new Date(reviewCard.dueAt).getTime();
+  if (MINUTE_STATES.includes(reviewCard.state)) return dueAt <= at;
+  return dueAt < nextDayBoundary(at, options);
+};
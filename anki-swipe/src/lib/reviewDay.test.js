@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  isDueToday,
+  nextDayBoundary,
+  reviewDayKey,
+  reviewDaysBetween,
+  startOfReviewDay,
+} from "./reviewDay.js";
+
+const at = (iso) => new Date(iso).getTime();
+const iso = (time) => new Date(time).toISOString();
+const dayStart = (time, options) => iso(startOfReviewDay(at(time), options));
+const dayKey = (time, options) => reviewDayKey(at(time), options);
+const nextStart = (time, options) => iso(nextDayBoundary(at(time), options));
+const daysBetween = (from, time, options) => reviewDaysBetween(at(from), at(time), options);
+
+test("a review day rolls over at the day-start hour, not at midnight", () => {
+  const options = { timeZone: "UTC", dayStartHour: 4 };
+  assert.equal(dayKey("2026-05-10T03:59:59Z", options), "2026-05-09");
+  assert.equal(dayKey("2026-05-10T04:00:00Z", options), "2026-05-10");
+  assert.equal(dayStart("2026-05-10T02:00:00Z", options), "2026-05-09T04:00:00.000Z");
+  assert.equal(nextStart("2026-05-10T02:00:00Z", options), "2026-05-10T04:00:00.000Z");
+});
+
+test("the day-start hour is read in the configured zone", () => {
+  const options = { timeZone: "Asia/Tokyo", dayStartHour: 4 };
+  assert.equal(dayStart("2026-05-10T12:00:00Z", options), "2026-05-09T19:00:00.000Z");
+  assert.equal(dayKey("2026-05-09T18:59:00Z", options), "2026-05-09");
+  assert.equal(dayKey("2026-05-09T19:00:00Z", options), "2026-05-10");
+  assert.equal(daysBetween("2026-05-09T18:00:00Z", "2026-05-09T20:00:00Z", options), 1);
+});
+
+test("days start at the local hour on both sides of a DST change", () => {
+  const options = { timeZone: "America/New_York", dayStartHour: 4 };
+  // Spring forward on 2026-03-08: 04:00 EDT is 08:00Z, a day earlier 09:00Z.
+  assert.equal(dayStart("2026-03-08T12:00:00Z", options), "2026-03-08T08:00:00.000Z");
+  assert.equal(nextStart("2026-03-07T12:00:00Z", options), "2026-03-08T08:00:00.000Z");
+  assert.equal(dayKey("2026-03-08T07:59:00Z", options), "2026-03-07");
+  assert.equal(dayKey("2026-03-08T08:00:00Z", options), "2026-03-08");
+  // Fall back on 2026-11-01: 04:00 EST is 09:00Z, and 08:30Z is still 03:30.
+  assert.equal(dayStart("2026-11-01T12:00:00Z", options), "2026-11-01T09:00:00.000Z");
+  assert.equal(dayKey("2026-11-01T08:30:00Z", options), "2026-10-31");
+  assert.equal(dayKey("2026-11-01T09:00:00Z", options), "2026-11-01");
+  assert.equal(daysBetween("2026-10-31T12:00:00Z", "2026-11-02T12:00:00Z", options), 2);
+});
+
+test("a day-start hour the clocks skip starts the day at the next hour", () => {
+  // 02:00 does not exist in New York on 2026-03-08; the day starts at 03:00 EDT.
+  const newYork = { timeZone: "America/New_York", dayStartHour: 2 };
+  assert.equal(dayStart("2026-03-08T12:00:00Z", newYork), "2026-03-08T07:00:00.000Z");
+  assert.equal(dayKey("2026-03-08T06:59:00Z", newYork), "2026-03-07");
+  assert.equal(dayKey("2026-03-08T07:00:00Z", newYork), "2026-03-08");
+  // Likewise 02:00 in Berlin on 2026-03-29 becomes 03:00 CEST.
+  const berlin = { timeZone: "Europe/Berlin", dayStartHour: 2 };
+  assert.equal(dayStart("2026-03-29T12:00:00Z", berlin), "2026-03-29T01:00:00.000Z");
+});
+
+test("a repeated day-start hour starts the day at its first occurrence", () => {
+  const options = { timeZone: "America/New_York", dayStartHour: 1 };
+  assert.equal(dayStart("2026-11-01T12:00:00Z", options), "2026-11-01T05:00:00.000Z");
+  assert.equal(dayKey("2026-11-01T06:30:00Z", options), "2026-11-01");
+});
+
+test("isDueToday keeps learning cards to the minute and reviews to the day", () => {
+  const options = { timeZone: "UTC", dayStartHour: 4 };
+  const now = at("2026-05-10T12:00:00Z");
+  const later = "2026-05-10T20:00:00Z";
+  assert.equal(isDueToday({ state: "learning", dueAt: later }, options, now), false);
+  assert.equal(isDueToday({ state: "review", dueAt: later }, options, now), true);
+  assert.equal(isDueToday({ state: "review", dueAt: "2026-05-11T04:00:00Z" }, options, now), false);
+});
@@ -0,0 +1,26 @@
+// Thin wrapper over the browser's speech synthesis with a Japanese voice.
+export const SPEECH_RATES = { normal: 1, slow: 0.6 };
+
+export const canSpeak = () =>
+  typeof window !== "undefined" && "speechSynthesis" in window;
+
+// Voices load asynchronously in some browsers, so look one up on every call.
+const japaneseVoice = () =>
+  window.speechSynthesis
+    .getVoices()
+    .find((voice) => voice.lang.replace("_", "-").toLowerCase().startsWith("ja"));
+
+export const speak = (text, { rate = SPEECH_RATES.normal } = {}) => {
+  if (!canSpeak() || !text) return;
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = "ja-JP";
+  utterance.rate = rate;
+  const voice = japaneseVoice();
+  if (voice) utterance.voice = voice;
+  window.speechSynthesis.speak(utterance);
+};
+
+export const stopSpeaking = () => {
+  if (canSpeak()) window.speechSynthesis.cancel();
+};
@@ -0,0 +1,140 @@
+// Stroke data uses KanjiVG's 109×109 coordinate space: one SVG path per
+// stroke, in stroke order.
+export const STROKE_BOX = 109;
+
+const SAMPLE_POINTS = 16;
+const CURVE_STEPS = 12;
+// Mean distance, in box units, for a drawn stroke to count as the right shape.
+const SHAPE_TOLERANCE = 18;
+
+const cubic = (p0, p1, p2, p3, t) => {
+  const u = 1 - t;
+  return {
+    x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+    y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y,
+  };
+};
+
+// Flattens the M/L/C/S commands KanjiVG uses into a list of points.
+export const pathToPoints = (d) => {
+  const tokens = String(d).match(/[a-zA-Z]|-?\d*\.?\d+(?:e-?\d+)?/g) ?? [];
+  const points = [];
+  let current = { x: 0, y: 0 };
+  let lastControl = null;
+  let command = null;
+  let index = 0;
+  const read = () => Number(tokens[index++]);
+  const readPoint = (relative) => {
+    const x = read();
+    const y = read();
+    return relative ? { x: current.x + x, y: current.y + y } : { x, y };
+  };
+
+  while (index < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[index])) command = tokens[index++];
+    const relative = command === command.toLowerCase();
+    switch (command.toLowerCase()) {
+      case "m":
+      case "l": {
+        current = readPoint(relative);
+        points.push(current);
+        lastControl = null;
+        break;
+      }
+      case "c":
+      case "s": {
+        const start = current;
+        const first =
+          command.toLowerCase() === "c"
+            ? readPoint(relative)
+            : lastControl
+              ? { x: 2 * start.x - lastControl.x, y: 2 * start.y - lastControl.y }
+              : start;
+        const second = readPoint(relative);
+        const end = readPoint(relative);
+        for (let step = 1; step <= CURVE_STEPS; step += 1) {
+          points.push(cubic(start, first, second, end, step / CURVE_STEPS));
+        }
+        current = end;
+        lastControl = second;
+        break;
+      }
+      default:
+        index += 1;
+    }
+  }
+
+  return points;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Evenly spaced points along a polyline so strokes drawn at different speeds
+// can be compared point by point.
+export const resample = (points, count = SAMPLE_POINTS) => {
+  if (points.length < 2) return Array.from({ length: count }, () => points[0] ?? { x: 0, y: 0 });
+  const lengths = [0];
+  for (let i = 1; i < points.length; i += 1) {
+    lengths.push(lengths[i - 1] + distance(points[i - 1], points[i]));
+  }
+  const total = lengths[lengths.length - 1] || 1;
+  const result = [];
+  let segment = 1;
+  for (let i = 0; i < count; i += 1) {
+    const target = (total * i) / (count - 1);
+    while (segment < points.length - 1 && lengths[segment] < target) segment += 1;
+    const span = lengths[segment] - lengths[segment - 1] || 1;
+    const t = Math.min(1, Math.max(0, (target - lengths[segment - 1]) / span));
+    const a = points[segment - 1];
+    const b = points[segment];
+    result.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+  }
+  return result;
+};
+
+const meanDistance = (a, b) =>
+  a.reduce((sum, point, index) => sum + distance(point, b[index]), 0) / a.length;
+
+// Matches each drawn stroke to its closest reference stroke. A stroke earns
+// credit for being that stroke's turn in the order, for being drawn in the
+// right direction and for its shape; missing or extra strokes scale the total
+// down.
+export const scoreStrokes = (drawn, referencePaths) => {
+  const reference = referencePaths.map((path) => resample(pathToPoints(path)));
+  const attempts = drawn.map((points) => resample(points));
+  const expected = reference.length;
+  if (!expected) return { score: 0, strokes: [], drawnCount: drawn.length, expected };
+
+  const strokes = attempts.slice(0, expected).map((attempt, index) => {
+    const distances = reference.map((target) =>
+      Math.min(meanDistance(attempt, target), meanDistance(attempt, [...target].reverse()))
+    );
+    const closest = distances.indexOf(Math.min(...distances));
+    const target = reference[closest];
+    return {
+      order: closest === index,
+      direction: meanDistance(attempt, target) <= meanDistance(attempt, [...target].reverse()),
+      shape: distances[closest] <= SHAPE_TOLERANCE,
+    };
+  });
+
+  const credit = strokes.reduce(
+    (sum, stroke) =>
+      sum + (stroke.order ? 0.4 : 0) + (stroke.direction ? 0.3 : 0) + (stroke.shape ? 0.3 : 0),
+    0
+  );
+  const countFactor = Math.max(0, 1 - Math.abs(drawn.length - expected) / expected);
+
+  return {
+    score: (credit / expected) * countFactor,
+    strokes,
+    drawnCount: drawn.length,
+    expected,
+  };
+};
+
+export const gradeStrokeScore = (score) => {
+  if (score >= 0.9) return "good";
+  if (score >= 0.7) return "hard";
+  return "again";
+};
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { STROKES } from "../data/strokes.js";
+import { gradeStrokeScore, pathToPoints, scoreStrokes } from "./strokes.js";
+
+const assertClose = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, message ?? `${actual} != ${expected}`);
+
+// Draws each reference stroke exactly as KanjiVG has it.
+const traced = (script) => STROKES[script].map(pathToPoints);
+
+test("tracing the reference strokes scores full marks", () => {
+  for (const script of Object.keys(STROKES)) {
+    const result = scoreStrokes(traced(script), STROKES[script]);
+    assertClose(result.score, 1, script);
+    assert.equal(result.drawnCount, STROKES[script].length);
+  }
+});
+
+test("a stroke drawn backwards loses the direction credit", () => {
+  const [horizontal, vertical] = traced("十");
+  const result = scoreStrokes([horizontal, [...vertical].reverse()], STROKES.十);
+  assert.deepEqual(result.strokes[1], { order: true, direction: false, shape: true });
+  assertClose(result.score, 0.85);
+});
+
+test("strokes drawn out of order lose the order credit", () => {
+  const [horizontal, vertical] = traced("十");
+  const result = scoreStrokes([vertical, horizontal], STROKES.十);
+  assert.ok(result.strokes.every((stroke) => !stroke.order && stroke.direction && stroke.shape));
+  assertClose(result.score, 0.6);
+});
+
+test("missing strokes and scribbles scale the score down", () => {
+  const [first, second] = traced("三");
+  assertClose(scoreStrokes([first, second], STROKES.三).score, 4 / 9);
+
+  const scribble = [
+    { x: 100, y: 5 },
+    { x: 5, y: 100 },
+  ];
+  const result = scoreStrokes([scribble], STROKES.一);
+  assert.equal(result.strokes[0].shape, false);
+  assert.equal(scoreStrokes([], STROKES.一).score, 0);
+});
+
+test("the score maps onto a grade", () => {
+  assert.deepEqual([0.95, 0.9, 0.8, 0.7, 0.5].map(gradeStrokeScore), [
+    "good",
+    "good",
+    "hard",
+    "hard",
+    "again",
+  ]);
+});
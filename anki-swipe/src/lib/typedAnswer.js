@@ -0,0 +1,79 @@
+import { romajiToKana, toHiragana } from "./kana.js";
+
+// Okurigana dots (おお.きい), affix dashes (ひと-) and separators don't count
+// towards the answer.
+const normalizeReading = (text) =>
+  toHiragana(romajiToKana(text, { final: true })).replace(/[.\-ー・\s'’]/g, "");
+
+const splitList = (text) =>
+  String(text ?? "")
+    .split(/[,、;；/／]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+export const readingsOf = (card) =>
+  [...splitList(card.onyomi), ...splitList(card.kunyomi)]
+    .map(normalizeReading)
+    .filter(Boolean);
+
+const normalizeMeaning = (text) =>
+  String(text ?? "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/^\s*to\s+/, "")
+    .replace(/[^a-z0-9' ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export const meaningSynonyms = (card) =>
+  [...new Set(splitList(card.meaning).map(normalizeMeaning))].filter(Boolean);
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const current = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+// One typo is forgiven in meanings of five letters or more.
+const meaningMatches = (answer, synonym) =>
+  answer === synonym || (synonym.length >= 5 && editDistance(answer, synonym) <= 1);
+
+export const checkReading = (card, input) => {
+  const answer = normalizeReading(input);
+  if (!answer) return false;
+  if (card.reading) return answer === normalizeReading(card.reading);
+  if (card.deck !== "kanji") return answer === normalizeReading(card.script);
+  return readingsOf(card).includes(answer);
+};
+
+export const checkMeaning = (card, input) => {
+  const answer = normalizeMeaning(input);
+  if (!answer) return false;
+  return meaningSynonyms(card).some((synonym) => meaningMatches(answer, synonym));
+};
+
+// A cloze accepts the missing word itself or its reading.
+export const checkCloze = (cloze, input) => {
+  const typed = String(input ?? "").trim();
+  if (!typed) return false;
+  return typed === cloze.word || normalizeReading(typed) === normalizeReading(cloze.reading);
+};
+
+// Everything right is "good", half right is "hard", nothing right is "again".
+export const gradeTypedAnswer = (results) => {
+  const correct = results.filter(Boolean).length;
+  if (correct === results.length) return "good";
+  return correct > 0 ? "hard" : "again";
+};
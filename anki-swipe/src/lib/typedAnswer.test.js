@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkMeaning, checkReading, gradeTypedAnswer } from "./typedAnswer.js";
+
+const woman = {
+  deck: "kanji",
+  script: "女",
+  meaning: "woman, female",
+  onyomi: "ジョ, ニョ",
+  kunyomi: "おんな, め",
+};
+
+test("checkReading accepts any on or kun reading, typed in romaji or kana", () => {
+  for (const input of ["onna", "おんな", "jo", "ニョ", "me"]) {
+    assert.equal(checkReading(woman, input), true, input);
+  }
+  for (const input of ["", "onn", "otoko"]) assert.equal(checkReading(woman, input), false, input);
+});
+
+test("checkReading compares vocabulary against the stored reading", () => {
+  const word = { deck: "vocab", script: "皆", reading: "みんな" };
+  assert.equal(checkReading(word, "minna"), true);
+  assert.equal(checkReading(word, "mina"), false);
+});
+
+test("checkMeaning forgives one typo in longer meanings", () => {
+  assert.equal(checkMeaning(woman, "Woman"), true);
+  assert.equal(checkMeaning(woman, "femal"), true);
+  assert.equal(checkMeaning(woman, "man"), false);
+});
+
+test("gradeTypedAnswer", () => {
+  assert.equal(gradeTypedAnswer([true, true]), "good");
+  assert.equal(gradeTypedAnswer([true, false]), "hard");
+  assert.equal(gradeTypedAnswer([false]), "again");
+});